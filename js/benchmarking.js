@@ -0,0 +1,262 @@
+/**
+ * benchmarking.js — Clifford Randomized Benchmarking
+ *
+ * The 24 single-qubit Cliffords are built once, breadth-first, as shortest
+ * words in the spin qubit's native pulses X, Y, Rx(±π/2), Ry(±π/2) — the
+ * same primitives SpinPhysics.applyGate takes — 44 pulses over the 24, or
+ * 1.83 per Clifford. A sequence of m random Cliffords is followed by the
+ * recovery Clifford that inverts it, so without noise it returns |0⟩.
+ *
+ * Every pulse runs on a scratch ρ (the live qubit is not touched) with
+ *   - NoiseModel's rates for that gate when circuit noise is enabled, or
+ *   - otherwise damping/dephasing from Decoherence's T1/T2 over the
+ *     single-qubit gate time, so temperature and B-field still matter.
+ * The survival P(|0⟩), sampled with finite shots and averaged over random
+ * sequences, is fit to A pᵐ + B; the average gate fidelity per Clifford is
+ *   F = 1 − (1 − p)/2     (d = 2).
+ * When the sweep stays above 0.9 the amplitude and offset are degenerate, so
+ * B is pinned to the twirled asymptote 1/2. The model value composes the
+ * per-pulse Bloch transfer of the incoherent channels,
+ * p_pulse = (R_xx + R_yy + R_zz)/3, into p_pulse^1.83; over-rotations are
+ * left out of it.
+ */
+
+const Benchmarking = (() => {
+    const { c, cmul, cexp, matMul, applyUnitary, pureState } = QubitMath;
+
+    const PULSES = [
+        { gate: 'X' }, { gate: 'Y' },
+        { gate: 'Rx', param: Math.PI / 2 }, { gate: 'Rx', param: -Math.PI / 2 },
+        { gate: 'Ry', param: Math.PI / 2 }, { gate: 'Ry', param: -Math.PI / 2 }
+    ];
+    const POINTS = 12;
+    const MAX_LENGTH = 5000;
+
+    const rand = Rng.stream('benchmarking');
+    const els = {};
+    let group = null;
+    let last = null;
+
+    function init() {
+        els.maxLength = document.getElementById('rb-max-length');
+        els.sequences = document.getElementById('rb-sequences');
+        els.shots = document.getElementById('rb-shots');
+        els.runBtn = document.getElementById('rb-run-btn');
+        els.autoBtn = document.getElementById('rb-auto-btn');
+        els.canvas = document.getElementById('rb-canvas');
+        els.fitVal = document.getElementById('rb-fidelity-fit');
+        els.modelVal = document.getElementById('rb-fidelity-model');
+        els.fitTable = document.getElementById('rb-fits');
+        if (!els.runBtn) return;
+
+        els.runBtn.addEventListener('click', () => {
+            run({
+                maxLength: parseInt(els.maxLength.value),
+                sequences: parseInt(els.sequences.value),
+                shots: parseInt(els.shots.value)
+            });
+        });
+
+        // Let the survival decay to ~1/e at the longest sequence
+        if (els.autoBtn) {
+            els.autoBtn.addEventListener('click', () => {
+                const { p } = modelDecay();
+                const m = p < 1 ? 1 / (1 - p) : MAX_LENGTH;
+                els.maxLength.value = Math.max(POINTS, Math.min(MAX_LENGTH, Math.round(m)));
+            });
+        }
+        window.addEventListener('resize', () => { if (last) draw(last); });
+    }
+
+    // ─── Clifford Group ────
+    // Matrix key independent of global phase
+    function matrixKey(U) {
+        const flat = [U[0][0], U[0][1], U[1][0], U[1][1]];
+        const pivot = flat.find(z => Math.hypot(z.re, z.im) > 0.5);
+        const unphase = cexp(-Math.atan2(pivot.im, pivot.re));
+        return flat.map(z => {
+            const w = cmul(z, unphase);
+            return `${w.re.toFixed(4)},${w.im.toFixed(4)}`;
+        }).join(';').replace(/-0\.0000/g, '0.0000');
+    }
+
+    function buildGroup() {
+        const identity = [[c(1), c(0)], [c(0), c(1)]];
+        const elements = [{ word: [], U: identity }];
+        const index = new Map([[matrixKey(identity), 0]]);
+        for (let head = 0; head < elements.length; head++) {
+            for (const pulse of PULSES) {
+                const U = matMul(SpinPhysics.gateMatrix(pulse.gate, pulse.param), elements[head].U);
+                const key = matrixKey(U);
+                if (index.has(key)) continue;
+                index.set(key, elements.length);
+                elements.push({ word: elements[head].word.concat([pulse]), U });
+            }
+        }
+        // compose[a][b]: Clifford a applied after b
+        const compose = elements.map(a => elements.map(b => index.get(matrixKey(matMul(a.U, b.U)))));
+        const inverse = elements.map((_, a) => compose[a].indexOf(0));
+        const meanPulses = elements.reduce((s, e) => s + e.word.length, 0) / elements.length;
+        return { elements, compose, inverse, meanPulses };
+    }
+
+    function getGroup() {
+        if (!group) group = buildGroup();
+        return group;
+    }
+
+    // ─── Noise ────
+    // Incoherent channel rates after one pulse of type `gate`
+    function pulseNoise(gate) {
+        if (NoiseModel.isEnabled()) return NoiseModel.getParams(gate);
+        return { depolarizing: 0, overRotation: 0, ...NoiseModel.derivedRates('single') };
+    }
+
+    // Mean Bloch-transfer diagonal of the noise over all pulses → model p
+    function modelDecay() {
+        const { elements, meanPulses } = getGroup();
+        const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+        let sum = 0;
+        for (const pulse of PULSES) {
+            const p = pulseNoise(pulse.gate);
+            for (let k = 0; k < 3; k++) {
+                const [up, down] = [1, -1].map(sign => {
+                    const rho = QubitMath.fromBloch(...axes[k].map(a => sign * a));
+                    const b = QubitMath.blochVector(NoiseModel.applyToRho(rho, p));
+                    return [b.x, b.y, b.z][k];
+                });
+                sum += (up - down) / 2;
+            }
+        }
+        const pPulse = sum / (3 * PULSES.length);
+        return { pPulse, p: Math.pow(pPulse, meanPulses), cliffords: elements.length, meanPulses };
+    }
+
+    // ─── Sequences ────
+    // P(|0⟩) after m random Cliffords and the recovery Clifford
+    function survival(m, cache) {
+        const { elements, compose, inverse } = getGroup();
+        const seq = [];
+        let net = 0;
+        for (let k = 0; k < m; k++) {
+            const g = Math.floor(rand() * elements.length);
+            seq.push(g);
+            net = compose[g][net];
+        }
+        seq.push(inverse[net]);
+
+        let rho = pureState(c(1), c(0));
+        for (const g of seq) {
+            for (const { U, noise } of cache[g]) {
+                rho = applyUnitary(rho, U);
+                rho = NoiseModel.applyToRho(rho, noise);
+            }
+        }
+        return rho[0][0].re;
+    }
+
+    function model(m, [A, p, B]) {
+        return A * Math.pow(Math.abs(p), m) + B;
+    }
+
+    // Fit A pᵐ + B, or null when the survival is already at 1/2 after one Clifford
+    function fitDecay(lengths, means, sigma) {
+        if (means[0] < 0.55) return null;
+        const mMax = lengths[lengths.length - 1];
+        const pGuess = Math.min(1 - 1e-9, Math.max(0.5, Math.pow(Math.max(1e-3, 2 * means[means.length - 1] - 1), 1 / mMax)));
+        const step = (1 - pGuess) / 2 + 1e-9;
+        if (means[means.length - 1] > 0.9) {
+            const pinned = Fitting.curveFit((m, [A, p]) => model(m, [A, p, 0.5]), lengths, means, [0.5, pGuess], {
+                scale: [0.02, step], sigma
+            });
+            return { ...pinned, params: [pinned.params[0], pinned.params[1], 0.5], errors: [pinned.errors[0], pinned.errors[1], 0] };
+        }
+        return Fitting.curveFit(model, lengths, means, [0.5, pGuess, 0.5], { scale: [0.05, step, 0.05], sigma });
+    }
+
+    /**
+     * Survival vs sequence length up to maxLength, averaged over `sequences`
+     * random sequences per length, each read out with `shots` (0 = exact).
+     * Returns the data, the fit and fidelities per Clifford (fit and model).
+     */
+    function run({ maxLength, sequences, shots }) {
+        maxLength = Math.max(POINTS, Math.min(MAX_LENGTH, maxLength || 200));
+        sequences = Math.max(1, Math.min(500, sequences || 30));
+        shots = Math.max(0, Math.min(10000, shots || 0));
+
+        // Noisy pulse matrices and channels are fixed for the run
+        const cache = getGroup().elements.map(({ word }) => word.map(pulse => {
+            const noise = pulseNoise(pulse.gate);
+            return { U: NoiseModel.noisyMatrix(pulse.gate, pulse.param, noise.overRotation), noise };
+        }));
+
+        const lengths = Array.from({ length: POINTS }, (_, i) => Math.max(1, Math.round(maxLength * i / (POINTS - 1))));
+        const means = [], sigma = [];
+        for (const m of lengths) {
+            const ys = [];
+            for (let s = 0; s < sequences; s++) {
+                const p0 = survival(m, cache);
+                let k = 0;
+                if (shots) for (let n = 0; n < shots; n++) if (rand() < p0) k++;
+                ys.push(shots ? k / shots : p0);
+            }
+            const mean = ys.reduce((a, b) => a + b, 0) / ys.length;
+            const variance = ys.reduce((a, y) => a + (y - mean) * (y - mean), 0) / Math.max(1, ys.length - 1);
+            means.push(mean);
+            sigma.push(Math.max(Math.sqrt(variance / ys.length), 1e-4));
+        }
+
+        const fit = fitDecay(lengths, means, sigma);
+        const p = fit ? Math.min(1, Math.abs(fit.params[1])) : NaN;
+        const pErr = fit ? fit.errors[1] : NaN;
+        const expected = modelDecay();
+
+        last = {
+            lengths, means, sigma, fit, p, pErr,
+            fidelity: 1 - (1 - p) / 2,
+            fidelityErr: pErr / 2,
+            modelFidelity: 1 - (1 - expected.p) / 2,
+            meanPulses: expected.meanPulses,
+            noisy: NoiseModel.isEnabled()
+        };
+        draw(last);
+        showResults(last);
+        return last;
+    }
+
+    function draw({ lengths, means, sigma, fit }) {
+        if (!els.canvas) return;
+        const mMax = lengths[lengths.length - 1];
+        const fine = Array.from({ length: 200 }, (_, i) => mMax * i / 199);
+        const series = [{ kind: 'dots', color: '#1a73e8', points: lengths.map((m, i) => [m, means[i]]), errors: sigma }];
+        if (fit) series.push({ kind: 'line', color: '#1a73e8', width: 1.5, points: fine.map(m => [m, model(m, fit.params)]) });
+        Plot.draw(els.canvas, {
+            xRange: [0, mMax], yRange: [0.4, 1.02],
+            xLabel: 'Cliffords m', yLabel: 'P(|0⟩)',
+            series,
+            legend: [{ label: 'A pᵐ + B', color: '#1a73e8' }]
+        });
+    }
+
+    function showResults({ fit, p, pErr, fidelity, fidelityErr, modelFidelity, meanPulses, noisy }) {
+        const fmt = f => (!Number.isFinite(f) ? '—' : f >= 1 ? '1'
+            : 1 - f < 1e-3 ? `1 − ${((1 - f) * 1e6).toFixed(2)}×10⁻⁶` : f.toFixed(5));
+        if (els.fitVal) els.fitVal.textContent = fmt(fidelity);
+        if (els.modelVal) els.modelVal.textContent = fmt(modelFidelity);
+        if (els.fitTable) {
+            if (!fit) {
+                els.fitTable.innerHTML = '<div class="experiment-fit-row">survival at ½ after one Clifford — decayed within a pulse</div>';
+                return;
+            }
+            const [A, , B] = fit.params;
+            els.fitTable.innerHTML = `
+                <div class="experiment-fit-row">p ${p.toFixed(6)}${Number.isFinite(pErr) ? ' ± ' + pErr.toExponential(1) : ''},
+                    A ${A.toFixed(3)}, B ${B.toFixed(3)}</div>
+                <div class="experiment-fit-row">error / Clifford ${((1 - fidelity) * 100).toPrecision(3)} %${Number.isFinite(fidelityErr) ? ' ± ' + (fidelityErr * 100).toPrecision(2) + ' %' : ''},
+                    / pulse ≈ ${((1 - fidelity) / meanPulses * 100).toPrecision(3)} %</div>
+                <div class="experiment-fit-row">noise: ${noisy ? 'circuit noise model' : 'T1/T2 over the gate time'}</div>`;
+        }
+    }
+
+    return { init, run, modelDecay, getGroup };
+})();
@@ -0,0 +1,505 @@
+/**
+ * circuitParser.js — Circuit Language Tokenizer & Parser
+ *
+ * The text typed into the circuit panel, case-insensitive:
+ *   program    := statement*      (ended by ';', a newline or the next gate)
+ *   statement  := gate ['(' args ')'] qubit*
+ *               | 'repeat' expr '{' program '}'
+ *               | 'let' name '=' expr
+ *   args       := arg (',' arg)*,   arg := [param '='] expr
+ *   qubit      := q0 | q[expr]
+ * Expressions are complex arithmetic over numbers, pi (π), i and `let`
+ * names with + − * / ^, parentheses and sqrt/exp/sin/cos; a number written
+ * against a name multiplies it ("0.5pi", "0.7071i"). Angles are in radians.
+ * Comments run from '//' or '#' to the end of the line.
+ *
+ * Gates and their parameters (positional or named):
+ *   X Y Z H S T, RX/RY/RZ(theta), U3(theta, phi, lambda),
+ *   RN(theta, nx, ny, nz), U(a, b, c, d) = [[a, b], [c, d]],
+ *   CNOT (CX) / CZ / SWAP / SQRTSWAP (√SWAP) control target, MEASURE (M)
+ * A single-qubit gate with no qubit acts on q0 and with several on each;
+ * a two-qubit gate with none acts on q0 q1.
+ *
+ * parse(text, nQubits) → { ops, errors }: ops in the circuit panel's
+ * { gate, param, qubits } form, errors as { message, start, end, line, col }
+ * with character offsets into `text`. Parsing carries on after an error so
+ * every problem is reported at once. format(op) writes an op back as a
+ * statement, so parse(format(op)) gives the op again.
+ */
+
+const CircuitParser = (() => {
+    const { cmul } = QubitMath;
+
+    const MAX_OPS = 5000;
+    const MAX_REPEAT = 1000;
+
+    const GATES = {
+        X: { gate: 'X' }, Y: { gate: 'Y' }, Z: { gate: 'Z' },
+        H: { gate: 'H' }, S: { gate: 'S' }, T: { gate: 'T' },
+        RX: { gate: 'Rx', params: ['theta'] },
+        RY: { gate: 'Ry', params: ['theta'] },
+        RZ: { gate: 'Rz', params: ['theta'] },
+        U3: { gate: 'U3', params: ['theta', 'phi', 'lambda'] },
+        RN: { gate: 'Rn', params: ['theta', 'nx', 'ny', 'nz'] },
+        U: { gate: 'U', params: ['a', 'b', 'c', 'd'], complex: true },
+        CNOT: { gate: 'CNOT', two: true }, CX: { gate: 'CNOT', two: true },
+        CZ: { gate: 'CZ', two: true },
+        SWAP: { gate: 'SWAP', two: true },
+        SQRTSWAP: { gate: 'SQRTSWAP', two: true }, '√SWAP': { gate: 'SQRTSWAP', two: true },
+        MEASURE: { gate: 'MEASURE' }, M: { gate: 'MEASURE' }
+    };
+    const CONSTANTS = { PI: { re: Math.PI, im: 0 }, 'π': { re: Math.PI, im: 0 }, I: { re: 0, im: 1 } };
+    const KEYWORDS = ['REPEAT', 'LET'];
+
+    // ─── Tokenizer ────
+    const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy;
+    const NAME = /[A-Za-z_√π][A-Za-z0-9_]*/y;
+    const SYMBOLS = '(){}[],;=+-*/^';
+
+    /**
+     * Tokens { type: 'num' | 'name' | 'sym' | 'nl' | 'end', text, start, end };
+     * characters that start no token become errors.
+     */
+    function tokenize(text, errors = []) {
+        const tokens = [];
+        let pos = 0;
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '\n') {
+                tokens.push({ type: 'nl', text: ch, start: pos, end: ++pos });
+            } else if (/\s/.test(ch)) {
+                pos++;
+            } else if (ch === '#' || text.startsWith('//', pos)) {
+                while (pos < text.length && text[pos] !== '\n') pos++;
+            } else {
+                let type = null, m = null;
+                for (const [t, re] of [['num', NUMBER], ['name', NAME]]) {
+                    re.lastIndex = pos;
+                    if ((m = re.exec(text))) { type = t; break; }
+                }
+                if (type) {
+                    tokens.push({ type, text: m[0], start: pos, end: pos + m[0].length });
+                    pos += m[0].length;
+                } else if (SYMBOLS.includes(ch)) {
+                    tokens.push({ type: 'sym', text: ch, start: pos, end: ++pos });
+                } else {
+                    errors.push(diagnostic(text, `unexpected character '${ch}'`, pos, pos + 1));
+                    pos++;
+                }
+            }
+        }
+        tokens.push({ type: 'end', text: '', start: text.length, end: text.length });
+        return tokens;
+    }
+
+    // Error over text[start, end), located by the 1-based line and column of `start`
+    function diagnostic(text, message, start, end) {
+        const before = text.slice(0, start);
+        const line = before.split('\n').length;
+        return { message, start, end, line, col: start - before.lastIndexOf('\n') };
+    }
+
+    // ─── Parser ────
+    function parse(text, nQubits = 1) {
+        const errors = [];
+        const tokens = tokenize(text, errors);
+        const names = {};
+        let pos = 0;
+
+        const peek = (k = 0) => tokens[Math.min(pos + k, tokens.length - 1)];
+        const next = () => tokens[Math.min(pos++, tokens.length - 1)];
+        const isSym = (tok, s) => tok.type === 'sym' && tok.text === s;
+        const describe = tok => tok.type === 'end' ? 'end of input' : tok.type === 'nl' ? 'end of line' : `'${tok.text}'`;
+
+        // Thrown to abandon a statement; caught in program()
+        class ParseError extends Error {
+            constructor(message, start, end) {
+                super(message);
+                this.start = start;
+                this.end = end;
+            }
+        }
+        const fail = (message, from, to = from) => new ParseError(message, from.start, to.end);
+
+        function expect(s) {
+            const tok = next();
+            if (!isSym(tok, s)) throw fail(`expected '${s}' but found ${describe(tok)}`, tok);
+            return tok;
+        }
+
+        function skipNewlines() { while (peek().type === 'nl') pos++; }
+
+        // Skip to the end of the statement, stepping over bracketed groups
+        function recover() {
+            let depth = 0;
+            for (;;) {
+                const tok = peek();
+                if (tok.type === 'end') return;
+                if (depth === 0 && (tok.type === 'nl' || isSym(tok, ';') || isSym(tok, '}'))) return;
+                if (isSym(tok, '(') || isSym(tok, '[') || isSym(tok, '{')) depth++;
+                if ((isSym(tok, ')') || isSym(tok, ']') || isSym(tok, '}')) && depth > 0) depth--;
+                pos++;
+            }
+        }
+
+        function program(ops, inBlock) {
+            for (;;) {
+                while (peek().type === 'nl' || isSym(peek(), ';')) pos++;
+                const tok = peek();
+                if (tok.type === 'end' || (inBlock && isSym(tok, '}'))) return;
+                try {
+                    if (isSym(tok, '}')) {
+                        pos++;
+                        throw fail("unmatched '}'", tok);
+                    }
+                    statement(ops);
+                } catch (e) {
+                    if (!(e instanceof ParseError)) throw e;
+                    errors.push(diagnostic(text, e.message, e.start, e.end));
+                    recover();
+                }
+            }
+        }
+
+        function statement(ops) {
+            const tok = next();
+            if (tok.type !== 'name') throw fail(`expected a gate but found ${describe(tok)}`, tok);
+            const key = tok.text.toUpperCase();
+
+            if (key === 'REPEAT') return repeat(tok, ops);
+            if (key === 'LET') return define();
+            if (qubitIndex(tok) !== null || (/^q$/i.test(tok.text) && isSym(peek(), '['))) {
+                throw fail(`${tok.text}: no gate before the qubit`, tok);
+            }
+
+            const spec = GATES[key];
+            if (!spec) {
+                // Report, then step over its arguments and qubits and go on
+                errors.push(diagnostic(text, `unknown gate '${tok.text}'${suggest(key)}`, tok.start, tok.end));
+                if (isSym(peek(), '(')) skipGroup();
+                while (peek().type === 'name' && qubitStart(peek())) qubit();
+                return endOfStatement();
+            }
+            const param = isSym(peek(), '(') ? args(tok, spec) : missingArgs(tok, spec);
+            const qubits = [];
+            while (peek().type === 'name' && qubitStart(peek())) qubits.push(qubit());
+            endOfStatement();
+            emit(ops, tok, spec, param, qubits);
+        }
+
+        function endOfStatement() {
+            const tok = peek();
+            if (tok.type === 'end' || tok.type === 'nl' || tok.type === 'name' || isSym(tok, ';') || isSym(tok, '}')) return;
+            throw fail(`unexpected ${describe(tok)}`, tok);
+        }
+
+        function skipGroup() {
+            const open = next();
+            let depth = 1;
+            while (depth > 0) {
+                const tok = next();
+                if (tok.type === 'end') throw fail("unclosed '('", open);
+                if (isSym(tok, '(')) depth++;
+                if (isSym(tok, ')')) depth--;
+            }
+        }
+
+        // repeat N { … } — the body is parsed once and copied N times
+        function repeat(keyword, ops) {
+            const countStart = peek();
+            const count = realValue(expression(), 'repeat count', countStart);
+            if (!Number.isInteger(count) || count < 0 || count > MAX_REPEAT) {
+                throw fail(`repeat count must be a whole number from 0 to ${MAX_REPEAT}`, countStart, tokens[pos - 1]);
+            }
+            skipNewlines();
+            const open = expect('{');
+            const body = [];
+            program(body, true);
+            if (!isSym(peek(), '}')) throw fail("unclosed '{'", open);
+            pos++;
+            if (ops.length + body.length * count > MAX_OPS) {
+                throw fail(`circuit longer than ${MAX_OPS} operations`, keyword, tokens[pos - 1]);
+            }
+            for (let k = 0; k < count; k++) ops.push(...body.map(op => ({ ...op, qubits: op.qubits.slice() })));
+        }
+
+        // let name = expr
+        function define() {
+            const tok = next();
+            if (tok.type !== 'name') throw fail(`expected a name but found ${describe(tok)}`, tok);
+            const key = tok.text.toUpperCase();
+            if (key in CONSTANTS || key in FUNCTIONS || key in GATES || KEYWORDS.includes(key) || qubitIndex(tok) !== null) {
+                throw fail(`'${tok.text}' is reserved`, tok);
+            }
+            expect('=');
+            names[key] = expression();
+            endOfStatement();
+        }
+
+        // ─── Arguments ────
+        function missingArgs(tok, spec) {
+            if (spec.params) throw fail(`${tok.text} needs (${spec.params.join(', ')})`, tok);
+            return undefined;
+        }
+
+        function args(gateTok, spec) {
+            const open = next();
+            const list = spec.params || [];
+            const values = new Array(list.length);
+            const spans = new Array(list.length);
+            let positional = 0, named = false;
+            if (!isSym(peek(), ')')) {
+                for (;;) {
+                    skipNewlines();
+                    const start = peek();
+                    let slot = positional;
+                    if (start.type === 'name' && isSym(peek(1), '=')) {
+                        slot = list.indexOf(start.text.toLowerCase());
+                        if (slot < 0) throw fail(`${gateTok.text} has no parameter '${start.text}' (${list.join(', ') || 'none'})`, start);
+                        if (values[slot] !== undefined) throw fail(`${start.text} given twice`, start);
+                        pos += 2;
+                        named = true;
+                    } else {
+                        if (named) throw fail('positional argument after a named one', start);
+                        if (slot >= list.length) {
+                            throw fail(`${gateTok.text} takes ${list.length ? list.length + ' argument' + (list.length > 1 ? 's' : '') : 'no arguments'}`, start);
+                        }
+                        positional++;
+                    }
+                    const from = peek();
+                    values[slot] = expression();
+                    spans[slot] = [from, tokens[pos - 1]];
+                    skipNewlines();
+                    if (!isSym(peek(), ',')) break;
+                    pos++;
+                }
+            }
+            const close = expect(')');
+            const missing = list.filter((_, k) => values[k] === undefined);
+            if (missing.length) throw fail(`${gateTok.text}: missing ${missing.join(', ')}`, open, close);
+            if (!list.length) return undefined;
+
+            const span = [gateTok, close];
+            if (spec.complex) {
+                values.forEach((z, k) => finite(z, list[k], ...spans[k]));
+                return matrixParam(values, ...span);
+            }
+            const reals = values.map((v, k) => realValue(v, list[k], ...spans[k]));
+            if (spec.gate === 'Rn' && Math.hypot(reals[1], reals[2], reals[3]) < 1e-6) {
+                throw fail('RN: rotation axis must be non-zero', ...span);
+            }
+            return list.length === 1 ? reals[0] : reals;
+        }
+
+        function matrixParam([a, b, c, d], from, to) {
+            const M = [[a, b], [c, d]];
+            const err = QubitMath.unitarityError(M);
+            if (err >= SpinPhysics.UNITARY_TOL) throw fail(`U: matrix is not unitary (‖U†U − I‖ = ${err.toFixed(3)})`, from, to);
+            return QubitMath.orthonormalize(M);
+        }
+
+        function finite(z, what, from, to = tokens[pos - 1]) {
+            if (!Number.isFinite(z.re) || !Number.isFinite(z.im)) throw fail(`${what} is not a finite number`, from, to);
+            return z;
+        }
+
+        function realValue(z, what, from, to = tokens[pos - 1]) {
+            finite(z, what, from, to);
+            if (Math.abs(z.im) > 1e-12 * Math.max(1, Math.abs(z.re))) throw fail(`${what} must be real`, from, to);
+            return z.re;
+        }
+
+        // ─── Qubits ────
+        // "q3" → 3; null for any other name
+        function qubitIndex(tok) {
+            const m = tok.text.match(/^q(\d+)$/i);
+            return m ? parseInt(m[1]) : null;
+        }
+
+        function qubitStart(tok) {
+            return qubitIndex(tok) !== null || (/^q$/i.test(tok.text) && isSym(peek(1), '['));
+        }
+
+        function qubit() {
+            const tok = next();
+            let q = qubitIndex(tok), last = tok;
+            if (q === null) {
+                expect('[');
+                const start = peek();
+                q = realValue(expression(), 'qubit index', start);
+                last = expect(']');
+                if (!Number.isInteger(q) || q < 0) throw fail('qubit index must be a whole number', start, tokens[pos - 2]);
+            }
+            if (q >= nQubits) throw fail(`no qubit q${q} in the lattice (q0–q${nQubits - 1})`, tok, last);
+            return q;
+        }
+
+        function emit(ops, tok, spec, param, qubits) {
+            if (ops.length >= MAX_OPS) throw fail(`circuit longer than ${MAX_OPS} operations`, tok);
+            const span = [tok, tokens[pos - 1]];
+            if (spec.two) {
+                if (!qubits.length) {
+                    if (nQubits < 2) throw fail(`${tok.text} needs two qubits; the lattice has one`, ...span);
+                    qubits = [0, 1];
+                }
+                if (qubits.length !== 2) throw fail(`${tok.text} takes a control and a target qubit`, ...span);
+                if (qubits[0] === qubits[1]) throw fail(`${tok.text}: control and target must differ`, ...span);
+                ops.push({ gate: spec.gate, param: undefined, qubits });
+                return;
+            }
+            for (const q of qubits.length ? qubits : [0]) {
+                ops.push(spec.gate === 'MEASURE' ? { gate: 'MEASURE', qubits: [q] } : { gate: spec.gate, param, qubits: [q] });
+            }
+        }
+
+        // ─── Expressions ────
+        function expression() {
+            let z = term();
+            while (isSym(peek(), '+') || isSym(peek(), '-')) {
+                const op = next().text;
+                const r = term();
+                z = op === '+' ? { re: z.re + r.re, im: z.im + r.im } : { re: z.re - r.re, im: z.im - r.im };
+            }
+            return z;
+        }
+
+        function term() {
+            let z = unary();
+            for (;;) {
+                const tok = peek();
+                if (isSym(tok, '*')) {
+                    pos++;
+                    z = cmul(z, unary());
+                } else if (isSym(tok, '/')) {
+                    pos++;
+                    const d = unary();
+                    const n2 = d.re * d.re + d.im * d.im;
+                    if (n2 === 0) throw fail('division by zero', tok, tokens[pos - 1]);
+                    z = cmul(z, { re: d.re / n2, im: -d.im / n2 });
+                } else {
+                    return z;
+                }
+            }
+        }
+
+        function unary() {
+            if (isSym(peek(), '-')) { pos++; const z = unary(); return { re: -z.re, im: -z.im }; }
+            if (isSym(peek(), '+')) { pos++; return unary(); }
+            return power();
+        }
+
+        function power() {
+            const base = primary();
+            if (!isSym(peek(), '^')) return base;
+            const tok = next();
+            const exp = unary();
+            if (base.im !== 0 || exp.im !== 0 || (base.re < 0 && !Number.isInteger(exp.re))) {
+                throw fail('^ needs a real base and exponent (integer for a negative base)', tok, tokens[pos - 1]);
+            }
+            return { re: Math.pow(base.re, exp.re), im: 0 };
+        }
+
+        function primary() {
+            const tok = next();
+            if (tok.type === 'num') {
+                const z = { re: parseFloat(tok.text), im: 0 };
+                // "0.5pi", "2i": a number written against a name multiplies it
+                const after = peek();
+                return after.type === 'name' && after.start === tok.end ? cmul(z, primary()) : z;
+            }
+            if (isSym(tok, '(')) {
+                const z = expression();
+                expect(')');
+                return z;
+            }
+            if (tok.type === 'name') {
+                const key = tok.text.toUpperCase();
+                if (key in FUNCTIONS && isSym(peek(), '(')) {
+                    pos++;
+                    const z = FUNCTIONS[key](expression());
+                    expect(')');
+                    return z;
+                }
+                if (key in names) return names[key];
+                if (key in CONSTANTS) return CONSTANTS[key];
+                throw fail(`unknown name '${tok.text}'`, tok);
+            }
+            throw fail(`expected a number but found ${describe(tok)}`, tok);
+        }
+
+        const ops = [];
+        program(ops, false);
+        errors.sort((a, b) => a.start - b.start);
+        return { ops, errors };
+    }
+
+    const FUNCTIONS = {
+        SQRT: z => {
+            const r = Math.sqrt(Math.hypot(z.re, z.im)), half = Math.atan2(z.im, z.re) / 2;
+            return { re: r * Math.cos(half), im: r * Math.sin(half) };
+        },
+        EXP: z => ({ re: Math.exp(z.re) * Math.cos(z.im), im: Math.exp(z.re) * Math.sin(z.im) }),
+        SIN: z => ({ re: Math.sin(z.re) * Math.cosh(z.im), im: Math.cos(z.re) * Math.sinh(z.im) }),
+        COS: z => ({ re: Math.cos(z.re) * Math.cosh(z.im), im: -Math.sin(z.re) * Math.sinh(z.im) })
+    };
+
+    // ─── Formatting ────
+    // Multiples of π with small denominators stay symbolic: "pi/2", "-3*pi/8"
+    function formatAngle(x) {
+        if (Math.abs(x) < 1e-12) return '0';
+        const r = x / Math.PI;
+        for (let q = 1; q <= 16; q++) {
+            const p = Math.round(r * q);
+            if (p !== 0 && Math.abs(r * q - p) < 1e-9) {
+                const num = p === 1 ? 'pi' : p === -1 ? '-pi' : `${p}*pi`;
+                return q === 1 ? num : `${num}/${q}`;
+            }
+        }
+        return String(+x.toPrecision(15));
+    }
+
+    function formatComplex({ re, im }) {
+        const f = x => String(+x.toPrecision(12));
+        if (Math.abs(im) < 1e-12) return f(re);
+        if (Math.abs(re) < 1e-12) return `${f(im)}i`;
+        return `${f(re)}${im < 0 ? '-' : '+'}${f(Math.abs(im))}i`;
+    }
+
+    // { gate, param, qubits } → "RX(pi/2) q0", "CNOT q0 q1", "U3(pi, 0, pi/2) q1"
+    function format({ gate, param, qubits }) {
+        const wires = qubits.map(q => 'q' + q).join(' ');
+        switch (gate) {
+            case 'Rx': case 'Ry': case 'Rz':
+                // applyGate's default angle is π/2
+                return `${gate.toUpperCase()}(${formatAngle(param === undefined || param === null ? Math.PI / 2 : param)}) ${wires}`;
+            case 'U3': return `U3(${param.map(formatAngle).join(', ')}) ${wires}`;
+            case 'Rn': return `RN(${formatAngle(param[0])}, ${param.slice(1).map(v => String(+v.toPrecision(12))).join(', ')}) ${wires}`;
+            case 'U': return `U(${param.flat().map(formatComplex).join(', ')}) ${wires}`;
+            default: return `${gate} ${wires}`;
+        }
+    }
+
+    // " (did you mean H?)" for a near miss of a gate name
+    function suggest(key) {
+        let best = null, bestDist = 2;
+        for (const name of Object.keys(GATES)) {
+            const d = editDistance(key, name);
+            if (d < bestDist) { best = name; bestDist = d; }
+        }
+        return best ? ` (did you mean ${best}?)` : '';
+    }
+
+    function editDistance(a, b) {
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= b.length; j++) {
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            row = next;
+        }
+        return row[b.length];
+    }
+
+    return { tokenize, parse, format, formatAngle, diagnostic, GATES };
+})();
@@ -1,11 +1,13 @@
 /**
  * decoherence.js — Physics-Accurate Temperature Model
  *
- * Real silicon-28 spin qubit decoherence physics:
+ * Real silicon spin qubit decoherence physics. Reference data, valley
+ * splitting, g-factor and mechanism coefficients come from the active
+ * material profile (materials.js; ²⁸Si MOS by default):
  *
  * T1 (spin-lattice relaxation):
- *   - Low T (<1K): dominated by Johnson noise, T1 ~ T^-5
- *   - High T (>2K): Orbach mechanism, 1/T1 ~ exp(-ΔE/kBT) + Raman T^7
+ *   - Low T (<1K): Johnson noise and direct phonon process, 1/T1 ∝ T, T·B⁴
+ *   - High T (>2K): Orbach mechanism, 1/T1 ~ exp(-ΔE_valley/kBT) + Raman T^7
  *   - Reference: T1 ~ 1s at 20mK, drops to ~1ms at 1K, ~1μs at 4K
  *
  * T2 (spin coherence / dephasing):
@@ -14,6 +16,14 @@
  *   - Ramsey: T2* ~ T^-1 (charge noise + phonon)
  *   - In 28Si at 20mK: T2 ~ 28ms (world record), T1 ~ 6s
  *
+ * Nuclear-spin bath (²⁹Si, the only spinful isotope, fraction c):
+ *   - Overhauser field: quasi-static, Gaussian, σ ∝ √c → T2*_nuc ∝ c^-1/2
+ *   - Spectral diffusion limits the Hahn echo: T2_nuc ∝ 1/c
+ *   - The reference T2 and T2* are measured at the profile's ²⁹Si fraction,
+ *     so the bath is removed from them once to leave the charge/phonon
+ *     part, then added back at the chosen c: 1/T2 = 1/T2_ph + 1/T2_nuc and
+ *     (Gaussian decays) 1/T2*² = 1/T2*_ph² + 1/T2*_nuc²
+ *
  * Thermal occupation:
  *   - P_excited = 1/(1 + exp(ΔE/kBT)) where ΔE = g*μB*B
  *   - At 20mK, 1T: ΔE/kBT ~ 33 → P_exc ~ 10^-15 (negligible)
@@ -24,8 +34,8 @@ const Decoherence = (() => {
     // Physical constants
     const KB = 1.380649e-23;      // Boltzmann constant (J/K)
     const MU_B = 9.2740100783e-24; // Bohr magneton (J/T)
-    const G_FACTOR = 2.0;         // electron g-factor in silicon
     const HBAR = 1.0545718e-34;
+    const T_BASE = 0.020;         // K, base temperature (no visual noise)
 
     // State
     let temperature = 20;   // mK
@@ -36,21 +46,43 @@ const Decoherence = (() => {
     let T2 = 0.028;         // seconds (28ms Hahn echo)
     let T2star = 0.001;     // seconds (1ms Ramsey)
     let thermalExcitation = 0;
-    let zeemanSplitting = 0; // eV
-
-    // Reference values from experiments (28Si at 20mK, 1T)
-    const T1_REF = 6.0;     // seconds (Muhonen et al. 2014)
-    const T2_REF = 0.028;   // seconds 28ms (Veldhorst et al. 2014)
-    const T_REF = 0.020;    // 20 mK reference temperature
-    const T2STAR_REF = 0.00012; // 120 μs Ramsey
-
-    function computePhysics() {
-        const T_kelvin = temperature / 1000; // mK → K
+    let zeemanSplitting = 0; // J
+    let t1Rates = { johnson: 0, direct: 0, raman: 0, orbach: 0 }; // 1/s
+
+    // Material profile (reference data and mechanism coefficients)
+    let material = Materials.get(Materials.DEFAULT);
+
+    // ²⁹Si nuclear bath
+    const SI29_NATURAL = 0.047;    // natural abundance
+    let si29 = material.si29;
+
+    // Overhauser-limited T2* and spectral-diffusion-limited T2 at fraction c
+    function nuclearT2star(c) { return c > 0 ? material.nuclear.T2star * Math.sqrt(SI29_NATURAL / c) : Infinity; }
+    function nuclearT2(c) { return c > 0 ? material.nuclear.T2 * SI29_NATURAL / c : Infinity; }
+
+    // Charge/phonon-limited parts of the references at tRef (unlimited if
+    // the bath alone accounts for the measured decay)
+    let T2_OTHER_REF, T2STAR_OTHER_REF;
+    function stripBath() {
+        const { T2: t2, T2star: t2s } = material.reference;
+        const rate = 1 / t2 - 1 / nuclearT2(material.si29);
+        const rate2 = 1 / t2s ** 2 - 1 / nuclearT2star(material.si29) ** 2;
+        T2_OTHER_REF = rate > 0 ? 1 / rate : Infinity;
+        T2STAR_OTHER_REF = rate2 > 0 ? 1 / Math.sqrt(rate2) : Infinity;
+    }
+    stripBath();
+
+    /**
+     * T1, T2, T2*, thermal excitation and Zeeman splitting at any temperature
+     * (mK) and field (T) for the active material and ²⁹Si fraction, with the
+     * separate 1/T1 contributions in t1Rates (1/s). Does not change the state.
+     */
+    function physicsAt(tempMK, B) {
+        const T_kelvin = tempMK / 1000; // mK → K
         const T_k = Math.max(T_kelvin, 0.001); // avoid division by zero
 
         // Zeeman splitting: ΔE = g · μ_B · B
-        zeemanSplitting = G_FACTOR * MU_B * Bfield;
-        const deltaE_eV = zeemanSplitting / 1.602e-19;
+        const zeemanSplitting = material.gFactor * MU_B * B;
 
         // ──────────────────────────────────────────────
         // T1: Spin-lattice relaxation
@@ -63,24 +95,26 @@ const Decoherence = (() => {
         // Raman (2-phonon): 1/T1 ∝ T^7
         // Orbach: 1/T1 ∝ exp(-ΔE_valley/kBT)
 
+        const { reference: ref, mechanisms: mech } = material;
+        const T_REF = ref.tRef;
         const ratio_T = T_k / T_REF;
 
         // Johnson noise contribution (dominant at very low T)
-        const rate_johnson = (1 / T1_REF) * ratio_T;
+        const rate_johnson = (1 / ref.T1) * ratio_T;
 
         // Direct one-phonon process: scales as T * B^4
-        const rate_direct = 0.001 * ratio_T * Math.pow(Bfield, 4);
+        const rate_direct = mech.direct * ratio_T * Math.pow(B, 4);
 
         // Raman two-phonon: scales as T^7
-        const rate_raman = 1e-8 * Math.pow(ratio_T, 7);
+        const rate_raman = mech.raman * Math.pow(ratio_T, 7);
 
-        // Orbach mechanism (valley splitting ~0.1 meV in Si/SiGe)
-        const deltaE_valley = 0.1e-3 * 1.602e-19; // 0.1 meV
+        // Orbach mechanism through the excited valley state
+        const deltaE_valley = material.valleySplitting * 1e-3 * 1.602e-19; // meV → J
         const orbach_exp = -deltaE_valley / (KB * T_k);
-        const rate_orbach = orbach_exp > -500 ? 1e3 * Math.exp(orbach_exp) : 0;
+        const rate_orbach = orbach_exp > -500 ? mech.orbach * Math.exp(orbach_exp) : 0;
 
         const total_rate_T1 = rate_johnson + rate_direct + rate_raman + rate_orbach;
-        T1 = Math.min(100, Math.max(1e-9, 1 / total_rate_T1));
+        const T1 = Math.min(100, Math.max(1e-9, 1 / total_rate_T1));
 
         // ──────────────────────────────────────────────
         // T2: Spin coherence (dephasing)
@@ -89,22 +123,30 @@ const Decoherence = (() => {
         // T2* ∝ T^-1 (charge noise + phonon)
         // T2 ≤ 2*T1 (fundamental bound)
 
-        const T2_phonon = T2_REF * Math.pow(T_REF / T_k, 3);
+        const T2_phonon = T2_OTHER_REF * Math.pow(T_REF / T_k, 3);
         const T2_bound = 2 * T1;
-        T2 = Math.min(T2_phonon, T2_bound);
-        T2 = Math.max(1e-9, T2);
+        const T2 = Math.max(1e-9, Math.min(1 / (1 / T2_phonon + 1 / nuclearT2(si29)), T2_bound));
 
-        // Ramsey T2*
-        const T2star_phonon = T2STAR_REF * Math.pow(T_REF / T_k, 1);
-        T2star = Math.min(T2star_phonon, T2);
-        T2star = Math.max(1e-10, T2star);
+        // Ramsey T2*: Overhauser and charge noise are both quasi-static
+        const T2star_phonon = T2STAR_OTHER_REF * Math.pow(T_REF / T_k, 1);
+        const T2star_total = 1 / Math.sqrt(1 / T2star_phonon ** 2 + 1 / nuclearT2star(si29) ** 2);
+        const T2star = Math.max(1e-10, Math.min(T2star_total, T2));
 
         // ──────────────────────────────────────────────
         // Thermal excitation probability
         // ──────────────────────────────────────────────
         // P_exc = 1/(1 + exp(ΔE/kBT))
         const beta = zeemanSplitting / (KB * T_k);
-        thermalExcitation = beta > 500 ? 0 : 1 / (1 + Math.exp(beta));
+        const thermalExcitation = beta > 500 ? 0 : 1 / (1 + Math.exp(beta));
+
+        return {
+            T1, T2, T2star, thermalExcitation, zeemanSplitting,
+            t1Rates: { johnson: rate_johnson, direct: rate_direct, raman: rate_raman, orbach: rate_orbach }
+        };
+    }
+
+    function computePhysics() {
+        ({ T1, T2, T2star, thermalExcitation, zeemanSplitting, t1Rates } = physicsAt(temperature, Bfield));
     }
 
     function setTemperature(t) {
@@ -117,26 +159,50 @@ const Decoherence = (() => {
         computePhysics();
     }
 
+    // ²⁹Si fraction (0 … natural 0.047)
+    function setSi29Fraction(c) {
+        si29 = Math.max(0, Math.min(SI29_NATURAL, c));
+        computePhysics();
+    }
+
+    // Switch material profile; the ²⁹Si fraction resets to the profile's own
+    function setMaterial(profile) {
+        material = profile;
+        si29 = Math.max(0, Math.min(SI29_NATURAL, profile.si29));
+        stripBath();
+        computePhysics();
+    }
+
+    // Active profile (shared, do not modify)
+    function getMaterial() { return material; }
+
     function getState() {
         const T_k = Math.max(temperature / 1000, 0.001);
         // Noise level: maps temperature to visual effects
         // At 20mK → 0, at 4K → 1
-        const noiseLevel = Math.min(1, Math.max(0, Math.log10(T_k / T_REF) / Math.log10(4 / T_REF)));
+        const noiseLevel = Math.min(1, Math.max(0, Math.log10(T_k / T_BASE) / Math.log10(4 / T_BASE)));
 
         return {
             temperature,         // mK
+            bField: Bfield,      // T
             T_kelvin: T_k,
             T1,                 // seconds
             T2,                 // seconds (Hahn echo)
             T2star,             // seconds (Ramsey)
             thermalExcitation,  // probability of thermal |1⟩
+            t1Rates: { ...t1Rates }, // 1/T1 by mechanism (1/s), before the T1 clamp
             zeemanSplitting,    // Joules
             zeemanMeV: zeemanSplitting / 1.602e-22,  // meV (for display)
             noiseLevel,
             jitter: noiseLevel * 0.15,        // lattice thermal vibration
             flicker: noiseLevel * 0.6,        // electron wavefunction flicker
             desaturation: noiseLevel * 0.4,   // color wash
-            kBT_meV: KB * (temperature / 1000) / 1.602e-22  // thermal energy in meV
+            kBT_meV: KB * (temperature / 1000) / 1.602e-22,  // thermal energy in meV
+            si29Fraction: si29,
+            material: material.name,
+            gFactor: material.gFactor,
+            // σ of the Overhauser Larmor shift (Hz): exp(−(t/T2*)²) ⇔ σ = √2 / (2π T2*)
+            overhauserSigma: Math.SQRT2 / (2 * Math.PI * nuclearT2star(si29))
         };
     }
 
@@ -156,7 +222,8 @@ const Decoherence = (() => {
     computePhysics();
 
     return {
-        setTemperature, setBfield, getState,
-        getT1String, getT2String, getT2StarString, formatTime
+        setTemperature, setBfield, setSi29Fraction, setMaterial, getMaterial, getState, physicsAt,
+        getT1String, getT2String, getT2StarString, formatTime,
+        SI29_NATURAL
     };
 })();
@@ -0,0 +1,178 @@
+/**
+ * decoherenceMaps.js — T1 Mechanisms & Temperature × Field Sweeps
+ *
+ * Two views of Decoherence.physicsAt for the active material profile:
+ *   - Mechanism chart: the share of 1/T1 from Johnson noise, the direct
+ *     one-phonon process, Raman and Orbach, stacked against log₁₀ T at the
+ *     current field, with the present temperature marked.
+ *   - Sweep map: T1, T2, T2* and the thermal excitation over a grid of
+ *     temperatures (log-spaced, mK) × fields (linear, T), shown as a heatmap
+ *     (times on a log₁₀ colour scale) and exported as CSV.
+ * Neither view changes the simulator's temperature or field.
+ */
+
+const DecoherenceMaps = (() => {
+    const MECHANISMS = [
+        { key: 'johnson', label: 'Johnson', color: '#1a73e8' },
+        { key: 'direct', label: 'direct phonon', color: '#34a853' },
+        { key: 'raman', label: 'Raman', color: '#fbbc04' },
+        { key: 'orbach', label: 'Orbach', color: '#ea4335' }
+    ];
+    const QUANTITIES = {
+        T1: { label: 'log₁₀ T₁ (s)', log: true },
+        T2: { label: 'log₁₀ T₂ (s)', log: true },
+        T2star: { label: 'log₁₀ T₂* (s)', log: true },
+        thermal: { label: 'P_thermal(|1⟩)', log: false }
+    };
+    const T_RANGE = [1, 4000];   // mK, as the temperature slider
+    const MAX_POINTS = 120;      // per sweep axis
+
+    const els = {};
+    let last = null;
+
+    function init() {
+        els.mechCanvas = document.getElementById('t1-mechanism-canvas');
+        els.mechRates = document.getElementById('t1-mechanism-rates');
+        els.tMin = document.getElementById('map-t-min');
+        els.tMax = document.getElementById('map-t-max');
+        els.bMin = document.getElementById('map-b-min');
+        els.bMax = document.getElementById('map-b-max');
+        els.resolution = document.getElementById('map-resolution');
+        els.quantity = document.getElementById('map-quantity');
+        els.runBtn = document.getElementById('map-run-btn');
+        els.csvBtn = document.getElementById('map-csv-btn');
+        els.canvas = document.getElementById('map-canvas');
+        els.range = document.getElementById('map-range');
+        els.section = document.getElementById('decoherence-maps');
+
+        if (els.runBtn) {
+            els.runBtn.addEventListener('click', () => {
+                const n = parseInt(els.resolution.value);
+                sweep({
+                    tMin: parseFloat(els.tMin.value), tMax: parseFloat(els.tMax.value),
+                    bMin: parseFloat(els.bMin.value), bMax: parseFloat(els.bMax.value),
+                    nT: n, nB: n
+                });
+                drawMap();
+            });
+        }
+        if (els.quantity) els.quantity.addEventListener('change', drawMap);
+        if (els.csvBtn) {
+            els.csvBtn.disabled = true;
+            els.csvBtn.addEventListener('click', () => { if (last) FileIO.download(toCSV(last), 'decoherence-sweep.csv', 'text/csv'); });
+        }
+        // Canvases have no size until their stage is shown
+        if (els.section) els.section.addEventListener('pointerenter', refresh);
+        window.addEventListener('resize', () => { refresh(); drawMap(); });
+        refresh();
+    }
+
+    // ─── T1 Mechanisms ────
+    function refresh() {
+        const state = Decoherence.getState();
+        const rates = state.t1Rates;
+        const total = MECHANISMS.reduce((sum, m) => sum + rates[m.key], 0);
+        if (els.mechRates) {
+            els.mechRates.innerHTML = MECHANISMS.map(m =>
+                `<div class="experiment-fit-row"><span style="color:${m.color}">■</span> ${m.label}: ${formatRate(rates[m.key])}` +
+                ` (${total > 0 ? (rates[m.key] / total * 100).toFixed(1) : '0.0'} %)</div>`).join('');
+        }
+        drawMechanisms(state);
+    }
+
+    function formatRate(r) {
+        return r >= 1e-2 && r < 1e4 ? `${r.toPrecision(3)} s⁻¹` : `${r.toExponential(2)} s⁻¹`;
+    }
+
+    function drawMechanisms(state) {
+        if (!els.mechCanvas) return;
+        const B = state.bField;
+        const lo = Math.log10(T_RANGE[0]), hi = Math.log10(T_RANGE[1]);
+        const xs = Array.from({ length: 121 }, (_, i) => lo + (hi - lo) * i / 120);
+        const shares = xs.map(x => {
+            const rates = Decoherence.physicsAt(Math.pow(10, x), B).t1Rates;
+            const total = MECHANISMS.reduce((sum, m) => sum + rates[m.key], 0) || 1;
+            return MECHANISMS.map(m => rates[m.key] / total);
+        });
+
+        // Cumulative shares, bottom to top
+        const series = [];
+        let base = xs.map(x => [x, 0]);
+        MECHANISMS.forEach((m, k) => {
+            const top = xs.map((x, i) => [x, base[i][1] + shares[i][k]]);
+            series.push({ kind: 'area', color: m.color, points: top, base });
+            base = top;
+        });
+        const now = Math.log10(Math.max(T_RANGE[0], state.temperature));
+        series.push({ kind: 'line', color: '#202124', width: 1, dash: [3, 3], points: [[now, 0], [now, 1]] });
+
+        Plot.draw(els.mechCanvas, {
+            xRange: [lo, hi], yRange: [0, 1],
+            xLabel: 'log₁₀ T (mK)', yLabel: 'share of 1/T₁',
+            series,
+            legend: MECHANISMS.map(m => ({ label: m.label, color: m.color }))
+        });
+    }
+
+    // ─── Sweep ────
+    /**
+     * T1, T2, T2* (s) and thermal excitation on nB × nT points: temperatures
+     * log-spaced over [tMin, tMax] mK, fields linear over [bMin, bMax] T.
+     * Grids are indexed [field][temperature].
+     */
+    function sweep({ tMin = 10, tMax = 4000, bMin = 0.1, bMax = 3, nT = 40, nB = 40 }) {
+        tMin = Math.max(T_RANGE[0], Math.min(tMin, tMax));
+        tMax = Math.max(tMin, tMax);
+        bMin = Math.max(0.01, Math.min(bMin, bMax));
+        bMax = Math.max(bMin, bMax);
+        nT = Math.max(2, Math.min(MAX_POINTS, nT || 40));
+        nB = Math.max(2, Math.min(MAX_POINTS, nB || 40));
+
+        const temps = Array.from({ length: nT }, (_, i) => tMin * Math.pow(tMax / tMin, i / (nT - 1)));
+        const fields = Array.from({ length: nB }, (_, j) => bMin + (bMax - bMin) * j / (nB - 1));
+        const grids = { T1: [], T2: [], T2star: [], thermal: [] };
+        for (const B of fields) {
+            const row = temps.map(t => Decoherence.physicsAt(t, B));
+            grids.T1.push(row.map(p => p.T1));
+            grids.T2.push(row.map(p => p.T2));
+            grids.T2star.push(row.map(p => p.T2star));
+            grids.thermal.push(row.map(p => p.thermalExcitation));
+        }
+        last = { temps, fields, grids, material: Decoherence.getMaterial().name };
+        if (els.csvBtn) els.csvBtn.disabled = false;
+        return last;
+    }
+
+    function drawMap() {
+        if (!last || !els.canvas) return;
+        const key = els.quantity && QUANTITIES[els.quantity.value] ? els.quantity.value : 'T1';
+        const q = QUANTITIES[key];
+        const values = last.grids[key].map(row => row.map(v => q.log ? Math.log10(v) : v));
+        const flat = values.flat().filter(Number.isFinite);
+        const z0 = Math.min(...flat), z1 = Math.max(...flat);
+        const { temps, fields } = last;
+        Plot.heatmap(els.canvas, {
+            xRange: [Math.log10(temps[0]), Math.log10(temps[temps.length - 1])],
+            yRange: [fields[0], fields[fields.length - 1]],
+            xLabel: 'log₁₀ T (mK)', yLabel: 'B (T)',
+            values, zRange: [z0, z1]
+        });
+        if (els.range) {
+            const fmt = v => q.log ? v.toFixed(2) : v.toPrecision(3);
+            els.range.innerHTML = `<span class="map-scale"></span> ${q.label}: ${fmt(z0)} … ${fmt(z1)} · ${last.material}`;
+        }
+    }
+
+    // ─── CSV Export ────
+    function toCSV({ temps, fields, grids }) {
+        const lines = ['temperature_mK,B_T,T1_s,T2_s,T2star_s,P_thermal'];
+        fields.forEach((B, j) => temps.forEach((t, i) => {
+            lines.push([t.toPrecision(6), B.toPrecision(6), grids.T1[j][i].toExponential(6),
+                grids.T2[j][i].toExponential(6), grids.T2star[j][i].toExponential(6),
+                grids.thermal[j][i].toExponential(6)].join(','));
+        }));
+        return lines.join('\n') + '\n';
+    }
+
+    return { init, refresh, sweep, toCSV, MECHANISMS };
+})();
@@ -0,0 +1,235 @@
+/**
+ * decoupling.js — Hahn Echo and CPMG Dynamical Decoupling
+ *
+ * Sequence generators build π/2 – [τ – π – τ]×N – π/2 pulse trains:
+ *   Hahn echo (N = 1): π about x,   CPMG-N: N π pulses about y at
+ *   t_k = (k − ½)·t/N, so every pulse is spaced 2τ = t/N.
+ *
+ * Dephasing comes from a random qubit-frequency offset δ(t) = δ_qs + δ_OU(t):
+ *   - δ_qs: quasi-static, fixed per run, Gaussian with σ_qs — fully refocused
+ *     by any echo; it alone would give a Gaussian FID with 1/e time √2/σ_qs
+ *   - δ_OU: Ornstein–Uhlenbeck noise with correlation time τ_c, only partly
+ *     refocused; for τ_c ≫ t the echo decays as exp(−σ² t³ / 12τ_c N²)
+ * σ_OU is set so the Hahn echo decays to 1/e at Decoherence's T2, then σ_qs
+ * so the FID decays to 1/e at T2*, using the exact OU phase variances
+ *   ⟨φ²⟩_FID  = 2σ²τ_c² (x − 1 + e^(−x)),
+ *   ⟨φ²⟩_Hahn = 2σ²τ_c² (x − 3 + 4e^(−x/2) − e^(−x)),  x = t/τ_c.
+ *
+ * Each trajectory evolves ρ through the sequence (ideal instantaneous pulses,
+ * T1 damping between them); the echo amplitude is 2|⟨ρ₀₁⟩| of the averaged ρ
+ * before the final π/2.
+ */
+
+const Decoupling = (() => {
+    const { c, rotation, applyUnitary, lindbladStep, pureState } = QubitMath;
+
+    const COLORS = ['#9aa0a6', '#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9334e6', '#00897b'];
+    const GRID_STEPS = 2000;
+
+    const rand = Rng.stream('decoupling');
+    const els = {};
+    let last = null;
+
+    function init() {
+        els.tMax = document.getElementById('dd-t-max');
+        els.pulses = document.getElementById('dd-pulses');
+        els.trajectories = document.getElementById('dd-trajectories');
+        els.tauC = document.getElementById('dd-tau-c');
+        els.runBtn = document.getElementById('dd-run-btn');
+        els.autoBtn = document.getElementById('dd-auto-btn');
+        els.canvas = document.getElementById('dd-canvas');
+        els.hahnVal = document.getElementById('dd-t2-fit');
+        els.modelVal = document.getElementById('dd-t2-model');
+        els.fitTable = document.getElementById('dd-fits');
+        if (!els.runBtn) return;
+
+        els.runBtn.addEventListener('click', () => {
+            run({
+                tMax: parseFloat(els.tMax.value) * 1e-3,
+                pulseCounts: els.pulses.value.split(',').map(v => parseInt(v)).filter(n => n >= 1),
+                trajectories: parseInt(els.trajectories.value),
+                tauC: parseFloat(els.tauC.value) * 1e-3
+            });
+        });
+
+        // Span the CPMG-8 decay with τ_c = 10 T2
+        if (els.autoBtn) {
+            els.autoBtn.addEventListener('click', () => {
+                const { T2 } = Decoherence.getState();
+                els.tMax.value = +(5 * T2 * 1e3).toPrecision(3);
+                els.tauC.value = +(10 * T2 * 1e3).toPrecision(3);
+            });
+        }
+        window.addEventListener('resize', () => { if (last) draw(last); });
+    }
+
+    // ─── Sequence Generators ────
+    // Steps: { pulse: [nx, ny, nz], angle } or { wait: seconds }
+    function ramsey(t) {
+        return [{ pulse: [1, 0, 0], angle: Math.PI / 2 }, { wait: t }];
+    }
+
+    function hahn(t) {
+        return [
+            { pulse: [1, 0, 0], angle: Math.PI / 2 },
+            { wait: t / 2 }, { pulse: [1, 0, 0], angle: Math.PI }, { wait: t / 2 }
+        ];
+    }
+
+    function cpmg(n, t) {
+        const seq = [{ pulse: [1, 0, 0], angle: Math.PI / 2 }, { wait: t / (2 * n) }];
+        for (let k = 0; k < n; k++) {
+            seq.push({ pulse: [0, 1, 0], angle: Math.PI });
+            seq.push({ wait: k === n - 1 ? t / (2 * n) : t / n });
+        }
+        return seq;
+    }
+
+    // ─── Noise ────
+    function ouFid(sigma, tauC, t) {
+        const x = t / tauC;
+        return 2 * sigma * sigma * tauC * tauC * (x - 1 + Math.exp(-x));
+    }
+
+    function ouHahn(sigma, tauC, t) {
+        const x = t / tauC;
+        return 2 * sigma * sigma * tauC * tauC * (x - 3 + 4 * Math.exp(-x / 2) - Math.exp(-x));
+    }
+
+    // σ_OU and σ_qs (rad/s) reproducing T2 (Hahn) and T2* (FID)
+    function calibrate(T2, T2star, tauC) {
+        const sigmaOU = Math.sqrt(2 / ouHahn(1, tauC, T2));
+        const sigmaQS = Math.sqrt(Math.max(0, 2 - ouFid(sigmaOU, tauC, T2star))) / T2star;
+        return { sigmaOU, sigmaQS };
+    }
+
+    // One noise realisation on a uniform grid: quasi-static offset and the
+    // running integral of the OU part, so any segment's phase is O(1)
+    function sampleTrace(tMax, noise, tauC) {
+        const dt = tMax / GRID_STEPS;
+        const decay = Math.exp(-dt / tauC);
+        const kick = noise.sigmaOU * Math.sqrt(1 - decay * decay);
+        const cum = new Float64Array(GRID_STEPS + 1);
+        let x = noise.sigmaOU * Rng.gaussian(rand);
+        for (let k = 0; k < GRID_STEPS; k++) {
+            const next = x * decay + kick * Rng.gaussian(rand);
+            cum[k + 1] = cum[k] + 0.5 * (x + next) * dt;
+            x = next;
+        }
+        return { qs: noise.sigmaQS * Rng.gaussian(rand), cum, dt };
+    }
+
+    function phaseBetween(trace, t0, t1) {
+        const at = t => {
+            const u = Math.min(GRID_STEPS, t / trace.dt);
+            const k = Math.min(GRID_STEPS - 1, Math.floor(u));
+            return trace.cum[k] + (trace.cum[k + 1] - trace.cum[k]) * (u - k);
+        };
+        return trace.qs * (t1 - t0) + at(t1) - at(t0);
+    }
+
+    // ρ after running `seq` under one noise trace
+    function evolve(seq, trace, deco) {
+        let rho = pureState(c(1), c(0));
+        let t = 0;
+        for (const step of seq) {
+            if (step.pulse) {
+                rho = applyUnitary(rho, rotation(...step.pulse, step.angle));
+            } else {
+                rho = applyUnitary(rho, rotation(0, 0, 1, phaseBetween(trace, t, t + step.wait)));
+                // T1 only: the noise trace already carries the dephasing
+                rho = lindbladStep(rho, step.wait, deco.T1, 2 * deco.T1, deco.thermalExcitation);
+                t += step.wait;
+            }
+        }
+        return rho;
+    }
+
+    function model(t, [A, T, n]) {
+        return A * Math.exp(-Math.pow(t / Math.abs(T), Math.abs(n)));
+    }
+
+    /**
+     * Echo amplitude vs total time t ∈ (0, tMax] (s) for the FID and each
+     * CPMG pulse count (N = 1 is the Hahn echo), averaged over `trajectories`
+     * noise realisations with OU correlation time tauC (s).
+     */
+    function run({ tMax, pulseCounts, trajectories, tauC }) {
+        const deco = Decoherence.getState();
+        tMax = tMax > 0 ? tMax : 5 * deco.T2;
+        tauC = tauC > 0 ? tauC : 10 * deco.T2;
+        trajectories = Math.max(10, Math.min(2000, trajectories || 200));
+        pulseCounts = (pulseCounts && pulseCounts.length ? pulseCounts : [1, 2, 4, 8]).slice(0, COLORS.length - 1);
+
+        const noise = calibrate(deco.T2, deco.T2star, tauC);
+        const POINTS = 40;
+        const times = Array.from({ length: POINTS }, (_, i) => tMax * (i + 1) / POINTS);
+        const sequences = [{ n: 0, build: ramsey }]
+            .concat(pulseCounts.map(n => ({ n, build: n === 1 ? hahn : t => cpmg(n, t) })));
+
+        // Average ρ₀₁ over trajectories; every sequence sees the same traces
+        const sums = sequences.map(() => times.map(() => c(0)));
+        for (let k = 0; k < trajectories; k++) {
+            const trace = sampleTrace(tMax, noise, tauC);
+            sequences.forEach(({ build }, s) => {
+                times.forEach((t, i) => {
+                    const r01 = evolve(build(t), trace, deco)[0][1];
+                    sums[s][i].re += r01.re;
+                    sums[s][i].im += r01.im;
+                });
+            });
+        }
+
+        const curves = sequences.map(({ n }, s) => {
+            const amp = sums[s].map(z => 2 * Math.hypot(z.re, z.im) / trajectories);
+            // Nothing to fit if the signal is gone by the first sample (FID on a T2 sweep)
+            if (amp[0] < 0.3) return { n, amp, T: NaN, Terr: NaN, exponent: NaN, fit: null };
+            const fit = Fitting.curveFit(model, times, amp, [1, n === 0 ? deco.T2star : deco.T2 * Math.pow(n, 2 / 3), n === 0 ? 2 : 3], {
+                scale: [0.05, tMax / 5, 0.3]
+            });
+            return { n, amp, T: Math.abs(fit.params[1]), Terr: fit.errors[1], exponent: Math.abs(fit.params[2]), fit };
+        });
+
+        last = { times, curves, noise, tauC, T2model: deco.T2, T2star: deco.T2star };
+        draw(last);
+        showResults(last);
+        return last;
+    }
+
+    function label(n) { return n === 0 ? 'FID' : n === 1 ? 'Hahn' : `CPMG-${n}`; }
+
+    function draw({ times, curves }) {
+        if (!els.canvas) return;
+        const tMax = times[times.length - 1];
+        const fine = Array.from({ length: 200 }, (_, i) => tMax * (i + 1) / 200);
+        const series = [];
+        curves.forEach(({ amp, fit }, k) => {
+            series.push({ kind: 'dots', color: COLORS[k], points: times.map((t, i) => [t * 1e3, amp[i]]) });
+            if (fit) series.push({ kind: 'line', color: COLORS[k], width: 1.2, points: fine.map(t => [t * 1e3, model(t, fit.params)]) });
+        });
+        Plot.draw(els.canvas, {
+            xRange: [0, tMax * 1e3], yRange: [0, 1.05],
+            xLabel: 'total time (ms)', yLabel: 'echo amplitude',
+            series,
+            legend: curves.map(({ n }, k) => ({ label: label(n), color: COLORS[k] }))
+        });
+    }
+
+    function showResults({ times, curves, T2model }) {
+        const fmt = Decoherence.formatTime;
+        const hahnCurve = curves.find(cv => cv.n === 1);
+        if (els.hahnVal) els.hahnVal.textContent = hahnCurve && Number.isFinite(hahnCurve.T) ? fmt(hahnCurve.T) : '—';
+        if (els.modelVal) els.modelVal.textContent = fmt(T2model);
+        if (els.fitTable) {
+            els.fitTable.innerHTML = curves.map(({ n, T, Terr, exponent }, k) => `
+                <div class="experiment-fit-row">
+                    <span style="color:${COLORS[k]}">●</span>
+                    ${label(n)} → ${Number.isFinite(T)
+                        ? `T ${fmt(T)}${Number.isFinite(Terr) ? ' ± ' + fmt(Terr) : ''}, exponent ${exponent.toFixed(2)}`
+                        : `decayed before ${fmt(times[0])}`}
+                </div>`).join('');
+        }
+    }
+
+    return { init, run, ramsey, hahn, cpmg, calibrate };
+})();
@@ -0,0 +1,114 @@
+/**
+ * exchange.js — Heisenberg Exchange Between Lattice Qubits
+ *
+ * Every qubit pair that Lattice links with an interaction line couples as
+ *   H_ij = J_ij S_i · S_j
+ *   J_ij = J_MAX · overlap_ij · exp(−(V_B,max − V_B) / V_B,scale)
+ * where overlap_ij = exp(−d_ij / INTERACTION_DECAY) is the strength Lattice
+ * already uses for its lines; the barrier gate V_B lowers the tunnel barrier
+ * and raises J exponentially.
+ *
+ * Per pair, exp(−i θ S_i·S_j) with θ = 2π J t leaves |00⟩, |11⟩ with a phase
+ * and rotates |01⟩ ↔ |10⟩: a full SWAP after θ = π, √SWAP after θ = π/2.
+ * The dots' Zeeman energies differ by ΔE_z = h (f_L,i − f_L,j), up to tens of
+ * MHz from the Stark-shifted g-factors, which detunes that flip-flop: the
+ * |01⟩ ↔ |10⟩ swing only reaches J² / (J² + ΔE_z²), and for |ΔE_z| ≫ J the
+ * pair just picks up a conditional phase. Free evolution includes ΔE_z and is
+ * taken into each qubit's frame in the register (SpinPhysics.getFrame), then
+ * applies the pairs in sequence (first-order Trotter).
+ * While the addressed qubit is coupled its ρ follows the register, which
+ * carries its T1/T2 decay as a sampled trajectory (SpinPhysics.applyDecoherence).
+ */
+
+const Exchange = (() => {
+    const { c, cmul, cexp } = QubitMath;
+
+    const J_MAX = 20e6;            // Hz at full overlap, barrier fully open
+    const V_BARRIER_MAX = 100;     // mV
+    const V_BARRIER_SCALE = 8;     // mV per e-fold of J
+    const J_OFF = 1e3;             // Hz — below this the barrier counts as closed
+
+    let barrierVoltage = 0; // mV
+
+    function setBarrierVoltage(mV) {
+        barrierVoltage = Math.max(0, Math.min(V_BARRIER_MAX, mV));
+    }
+
+    function getBarrierVoltage() { return barrierVoltage; }
+
+    // Share of J_MAX let through by the barrier, 0…1
+    function getBarrierFactor() {
+        return Math.exp(-(V_BARRIER_MAX - barrierVoltage) / V_BARRIER_SCALE);
+    }
+
+    // Exchange J (Hz) for a pair with the given wavefunction overlap
+    function getCoupling(overlap) {
+        return J_MAX * overlap * getBarrierFactor();
+    }
+
+    // exp(−i θ S₁·S₂) in the basis |00⟩, |01⟩, |10⟩, |11⟩
+    function exchangeMatrix(theta) {
+        const g = { re: Math.cos(theta / 4), im: Math.sin(theta / 4) };      // e^{iθ/4}
+        const mul = (a, b) => ({ re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re });
+        const t = mul(g, { re: Math.cos(theta / 2), im: -Math.sin(theta / 2) });
+        const co = mul(g, { re: Math.cos(theta / 2), im: 0 });
+        const sw = mul(g, { re: 0, im: -Math.sin(theta / 2) });
+        const o = { re: 0, im: 0 };
+        return [[t, o, o, o], [o, co, sw, o], [o, sw, co, o], [o, o, o, t]];
+    }
+
+    /**
+     * Propagator over the last `span` (s) of a pair at exchange J (Hz) whose
+     * register frames are fi, fj ({ offset (Hz), phase (rad) } at the end of
+     * the span). In the |01⟩, |10⟩ block the Zeeman difference δ adds ±δ/2,
+     *   U = e^(iD t₁) exp(−i (D + H_J) span) e^(−iD t₀),   D = diag(δ/2, −δ/2)
+     * with D t the frames' phase difference; δ = 0 gives exchangeMatrix.
+     */
+    function pairPropagator(J, fi, fj, span) {
+        const delta = 2 * Math.PI * (fi.offset - fj.offset);
+        const a = delta / 2, b = Math.PI * J;
+        const omega = Math.hypot(a, b);
+        const co = Math.cos(omega * span);
+        const si = omega > 0 ? Math.sin(omega * span) / omega : span;
+        const g = cexp(Math.PI * J * span / 2);   // e^{iθ/4}
+        const phi1 = fi.phase - fj.phase;
+        const mid = phi1 - delta * span / 2;      // (φ₀ + φ₁) / 2
+        const flip = cmul(g, c(0, -si * b));
+        const o = c(0), t = cexp(-Math.PI * J * span / 2);
+        return [
+            [t, o, o, o],
+            [o, cmul(cexp(delta * span / 2), cmul(g, c(co, -si * a))), cmul(cexp(mid), flip), o],
+            [o, cmul(cexp(-mid), flip), cmul(cexp(-delta * span / 2), cmul(g, c(co, si * a))), o],
+            [o, o, o, t]
+        ];
+    }
+
+    // Free evolution of the register over frame time dt
+    function evolve(dt, couplings) {
+        if (!couplings || couplings.length === 0) return;
+        const simDt = dt * SpinPhysics.TIME_SCALE;
+        let touchedAddressed = false;
+
+        for (const { i, j, overlap } of couplings) {
+            const J = getCoupling(overlap);
+            if (J < J_OFF) continue;
+            QuantumRegister.applyTwoQubit(i, j, pairPropagator(J, SpinPhysics.getFrame(i), SpinPhysics.getFrame(j), simDt));
+            if (i === SpinPhysics.ADDRESSED_QUBIT || j === SpinPhysics.ADDRESSED_QUBIT) touchedAddressed = true;
+        }
+
+        if (touchedAddressed) SpinPhysics.syncFromRegister();
+    }
+
+    // Strongest coupling in the current geometry and its SWAP time (θ = π)
+    function getStrongest(couplings) {
+        let J = 0;
+        for (const c of couplings || []) J = Math.max(J, getCoupling(c.overlap));
+        return { J, swapTime: J > 0 ? 1 / (2 * J) : Infinity };
+    }
+
+    return {
+        setBarrierVoltage, getBarrierVoltage, getBarrierFactor,
+        getCoupling, exchangeMatrix, pairPropagator, evolve, getStrongest,
+        J_MAX, J_OFF
+    };
+})();
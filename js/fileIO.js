@@ -0,0 +1,21 @@
+/**
+ * fileIO.js — Text File Downloads
+ *
+ * download(text, filename, type) saves generated text (CSV sweeps, OpenQASM
+ * circuits) through a temporary object URL and link click.
+ */
+
+const FileIO = (() => {
+    function download(text, filename, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    return { download };
+})();
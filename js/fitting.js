@@ -0,0 +1,127 @@
+/**
+ * fitting.js — Least-Squares Curve Fitting for the Experiments
+ *
+ * Nelder–Mead simplex minimisation (derivative-free, robust for the few-
+ * parameter decay models the experiments fit) and a curveFit wrapper that
+ * minimises χ² = Σ ((y − f(x; p)) / σ)² and estimates parameter standard
+ * errors from the numerical Jacobian: Cov = s² (JᵀJ)⁻¹, s² = χ² / (n − k).
+ */
+
+const Fitting = (() => {
+    /**
+     * Minimise f over R^k starting from x0. `scale` gives the initial simplex
+     * step per coordinate (defaults to 10 % of |x0|, or 0.1).
+     */
+    function nelderMead(f, x0, { scale, maxIter = 4000, tol = 1e-12 } = {}) {
+        const k = x0.length;
+        const step = scale || x0.map(v => (v !== 0 ? 0.1 * Math.abs(v) : 0.1));
+
+        let simplex = [x0.slice()];
+        for (let i = 0; i < k; i++) {
+            const p = x0.slice();
+            p[i] += step[i];
+            simplex.push(p);
+        }
+        let values = simplex.map(f);
+
+        const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+        for (let iter = 0; iter < maxIter; iter++) {
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+            if (Math.abs(values[k] - values[0]) <= tol * (Math.abs(values[0]) + tol)) break;
+
+            // Centroid of all but the worst vertex
+            const centroid = new Array(k).fill(0);
+            for (let i = 0; i < k; i++) {
+                for (let j = 0; j < k; j++) centroid[j] += simplex[i][j] / k;
+            }
+
+            const worst = simplex[k];
+            const reflected = combine(centroid, worst, -1);
+            const fr = f(reflected);
+            if (fr < values[0]) {
+                const expanded = combine(centroid, worst, -2);
+                const fe = f(expanded);
+                if (fe < fr) { simplex[k] = expanded; values[k] = fe; } else { simplex[k] = reflected; values[k] = fr; }
+            } else if (fr < values[k - 1]) {
+                simplex[k] = reflected; values[k] = fr;
+            } else {
+                const contracted = combine(centroid, worst, fr < values[k] ? -0.5 : 0.5);
+                const fc = f(contracted);
+                if (fc < Math.min(fr, values[k])) {
+                    simplex[k] = contracted; values[k] = fc;
+                } else {
+                    // Shrink toward the best vertex
+                    for (let i = 1; i <= k; i++) {
+                        simplex[i] = combine(simplex[0], simplex[i], 0.5);
+                        values[i] = f(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        let best = 0;
+        for (let i = 1; i <= k; i++) if (values[i] < values[best]) best = i;
+        return { x: simplex[best], fx: values[best] };
+    }
+
+    // Inverse of a small symmetric matrix by Gauss–Jordan; null if singular
+    function invert(A) {
+        const n = A.length;
+        const M = A.map((row, i) => row.concat(row.map((_, j) => (i === j ? 1 : 0))));
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            if (Math.abs(M[pivot][col]) < 1e-300) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            const d = M[col][col];
+            for (let j = 0; j < 2 * n; j++) M[col][j] /= d;
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = M[r][col];
+                for (let j = 0; j < 2 * n; j++) M[r][j] -= factor * M[col][j];
+            }
+        }
+        return M.map(row => row.slice(n));
+    }
+
+    /**
+     * Fit model(x, p) to points (xs, ys). Options: scale (simplex steps),
+     * sigma (per-point uncertainties, default 1). Returns
+     * { params, errors, chi2, dof } with errors NaN when the fit is degenerate.
+     */
+    function curveFit(model, xs, ys, p0, { scale, sigma } = {}) {
+        const w = xs.map((_, i) => (sigma && sigma[i] > 0 ? 1 / sigma[i] : 1));
+        const chi2 = p => {
+            let s = 0;
+            for (let i = 0; i < xs.length; i++) {
+                const r = (ys[i] - model(xs[i], p)) * w[i];
+                s += r * r;
+            }
+            return Number.isFinite(s) ? s : Infinity;
+        };
+
+        // Restart once from the first optimum to escape early simplex collapse
+        let { x: params } = nelderMead(chi2, p0, { scale });
+        ({ x: params } = nelderMead(chi2, params, { scale: scale && scale.map(s => s / 4) }));
+
+        const k = params.length;
+        const dof = Math.max(1, xs.length - k);
+        const J = xs.map((x, i) => params.map((p, j) => {
+            const h = 1e-6 * (Math.abs(p) || 1);
+            const up = params.slice(), dn = params.slice();
+            up[j] += h; dn[j] -= h;
+            return (model(x, up) - model(x, dn)) / (2 * h) * w[i];
+        }));
+        const JtJ = params.map((_, a) => params.map((_, b) => J.reduce((s, row) => s + row[a] * row[b], 0)));
+        const cov = invert(JtJ);
+        const s2 = chi2(params) / dof;
+        const errors = params.map((_, j) => (cov && cov[j][j] >= 0 ? Math.sqrt(cov[j][j] * s2) : NaN));
+
+        return { params, errors, chi2: chi2(params), dof };
+    }
+
+    return { nelderMead, curveFit };
+})();
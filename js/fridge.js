@@ -0,0 +1,80 @@
+/**
+ * fridge.js — Dilution-Refrigerator Thermal Model
+ *
+ * The temperature slider sets the mixing-chamber setpoint; the sample
+ * temperature T relaxes toward it under a heat balance
+ *   C(T) dT/dt = P_heater + P_static + P_mw − P_cool(T)
+ *   - P_cool = a T²: dilution-unit cooling power (≈ 400 μW at 100 mK)
+ *   - C = C₀ T: heat capacity of the stage, so near equilibrium the thermal
+ *     time constant τ = C / (dP_cool/dT) = C₀ / 2a is the same at any T
+ *   - P_static: parasitic load, giving the base temperature √(P_static / a)
+ *   - P_mw: microwave heating ∝ drive duty cycle (PulseController) × B1²
+ *   - P_heater: servo holding the setpoint (feed-forward a T_set² minus the
+ *     known loads, plus a proportional term), clamped to [0, P_max]
+ * Far above base the cooldown is exponential in T with rate 1/2τ, so
+ * 4 K → 20 mK takes about half a minute; heating is limited only by P_max.
+ * The fridge runs on frame (lab) time, not the spin simulation's 50 ns scale.
+ */
+
+const Fridge = (() => {
+    const COOLING_COEFF = 0.04;        // a, W/K²
+    const TIME_CONSTANT = 3;           // τ, s
+    const HEAT_CAPACITY = 2 * COOLING_COEFF * TIME_CONSTANT; // C₀, J/K²
+    const STATIC_LOAD = 2e-6;          // W → base ≈ 7 mK
+    const MW_LOAD_FULL = 100e-6;       // W at 100 % duty and B1 = B1_REF
+    const B1_REF = 0.1;                // T
+    const HEATER_MAX = 1;              // W
+    const SERVO_GAIN = 2;              // proportional term in units of dP_cool/dT
+    const MAX_SUBSTEPS = 2000;
+
+    let setpoint = 20;     // mK
+    let temperature = 20;  // mK, starts settled at the setpoint
+    let heater = 0, mwLoad = 0, duty = 0;
+
+    function coolingPower(tK) { return COOLING_COEFF * tK * tK; }
+
+    function baseTemperature() { return Math.sqrt(STATIC_LOAD / COOLING_COEFF) * 1000; }
+
+    function setSetpoint(mK) {
+        if (Number.isFinite(mK) && mK > 0) setpoint = mK;
+    }
+
+    // Advance the heat balance by `dt` frame seconds and pass T on to Decoherence
+    function update(dt) {
+        duty = PulseController.getDutyCycle();
+        const b1 = SpinPhysics.getB1() / B1_REF;
+        mwLoad = MW_LOAD_FULL * duty * b1 * b1;
+
+        const ts = setpoint / 1000;
+        const gain = SERVO_GAIN * 2 * COOLING_COEFF * ts;
+        const feedForward = coolingPower(ts) - STATIC_LOAD - mwLoad;
+        let t = temperature / 1000;
+
+        // Sub-step on the local relaxation time C / (dP_cool/dT + gain)
+        const tau = HEAT_CAPACITY * t / (2 * COOLING_COEFF * t + gain);
+        const n = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(dt / (0.1 * tau))));
+        const h = dt / n;
+        for (let i = 0; i < n; i++) {
+            heater = Math.max(0, Math.min(HEATER_MAX, feedForward + gain * (ts - t)));
+            const net = heater + STATIC_LOAD + mwLoad - coolingPower(t);
+            t = Math.max(1e-4, t + h * net / (HEAT_CAPACITY * t));
+        }
+
+        const previous = temperature;
+        temperature = t * 1000;
+        if (Math.abs(temperature - previous) > 1e-6 * previous) Decoherence.setTemperature(temperature);
+    }
+
+    function getTemperature() { return temperature; }
+    function getSetpoint() { return setpoint; }
+
+    function getState() {
+        return {
+            setpoint, temperature, heater, mwLoad, duty,
+            coolingPower: coolingPower(temperature / 1000),
+            base: baseTemperature()
+        };
+    }
+
+    return { setSetpoint, getSetpoint, getTemperature, getState, update, TIME_CONSTANT };
+})();
@@ -0,0 +1,215 @@
+/**
+ * grape.js — Optimal-Control Pulse Designer (GRAPE)
+ *
+ * Finds piecewise-constant I/Q controls u_k = (I_k, Q_k), k = 1…N, over a
+ * duration T that implement a target single-qubit gate U_t from the
+ * SpinPhysics.applyGate set. Each segment of length h = T/N is the exact
+ * rotating-frame propagator
+ *   U_k = exp(−i h/2 (I_k σ_x + Q_k σ_y + Δ σ_z)),   U = U_N ⋯ U_1
+ * and the figure of merit is the average gate fidelity
+ *   F = (|Tr(U_t† U)|² + 2) / 6,
+ * averaged over detunings Δ ∈ {0, ±σ/2, ±σ} when a spread σ is given, so the
+ * pulse tolerates Overhauser / Stark offsets.
+ *
+ * Gradient (first order in h, Khaneja et al. 2005): with F_k = U_k ⋯ U_1,
+ * B_k = U_N ⋯ U_{k+1} and g = Tr(U_t† U),
+ *   ∂g/∂u_k^j = −i (h/2) Tr(σ_j F_k U_t† B_k),   ∂|g|²/∂u = 2 Re(g* ∂g/∂u)
+ * Steps are accepted only if F improves (step grows ×1.5, else halves), and
+ * every control is projected back into the amplitude disk |u_k| ≤ Ω_max.
+ *
+ * The result plays through SpinPhysics.playPulse as a PulseShapes.piecewise
+ * drive, at the current drive frequency and phase.
+ */
+
+const Grape = (() => {
+    const { c, cmul, cadd, conj, cnorm2, identity, matMul, dagger, rotation, axisAngle } = QubitMath;
+
+    const GATES = ['X', 'Y', 'Z', 'H', 'S', 'T', 'Rx', 'Ry', 'Rz'];
+    const SPREAD_POINTS = [-1, -0.5, 0, 0.5, 1];
+    const MAX_SEGMENTS = 200;
+    const MAX_ITERATIONS = 2000;
+    const SIGMA = [
+        [[c(0), c(1)], [c(1), c(0)]],
+        [[c(0), c(0, -1)], [c(0, 1), c(0)]]
+    ];
+
+    const rand = Rng.stream('grape');
+    const els = {};
+    let last = null;
+
+    function init() {
+        els.gate = document.getElementById('grape-gate');
+        els.angle = document.getElementById('grape-angle');
+        els.duration = document.getElementById('grape-duration');
+        els.amplitude = document.getElementById('grape-amplitude');
+        els.spread = document.getElementById('grape-spread');
+        els.segments = document.getElementById('grape-segments');
+        els.runBtn = document.getElementById('grape-run-btn');
+        els.applyBtn = document.getElementById('grape-apply-btn');
+        els.canvas = document.getElementById('grape-canvas');
+        els.fidelity = document.getElementById('grape-fidelity');
+        els.fits = document.getElementById('grape-fits');
+        if (!els.runBtn) return;
+
+        els.runBtn.addEventListener('click', () => {
+            optimize({
+                gate: els.gate.value,
+                param: parseFloat(els.angle.value) * Math.PI,
+                duration: parseFloat(els.duration.value) * 1e-9,
+                maxAmp: 2 * Math.PI * parseFloat(els.amplitude.value) * 1e6,
+                spread: parseFloat(els.spread.value) * 1e6,
+                segments: parseInt(els.segments.value)
+            });
+        });
+        if (els.applyBtn) {
+            els.applyBtn.disabled = true;
+            els.applyBtn.addEventListener('click', () => { if (last) apply(last); });
+        }
+        window.addEventListener('resize', () => { if (last) draw(last); });
+    }
+
+    // ─── Fidelity & Gradient ────
+    // Tr(A† B)
+    function overlap(A, B) {
+        let z = c(0);
+        for (let i = 0; i < 2; i++) for (let j = 0; j < 2; j++) z = cadd(z, cmul(conj(A[i][j]), B[i][j]));
+        return z;
+    }
+
+    // Tr(σ M)
+    function traceWith(sigma, M) {
+        let z = c(0);
+        for (let i = 0; i < 2; i++) for (let j = 0; j < 2; j++) z = cadd(z, cmul(sigma[i][j], M[j][i]));
+        return z;
+    }
+
+    function segment([ux, uy], wz, h) {
+        return rotation(ux, uy, wz, h * Math.sqrt(ux * ux + uy * uy + wz * wz));
+    }
+
+    /**
+     * Average fidelity of `controls` (rad/s) over the detunings `wzs` (rad/s),
+     * with ∂F/∂u_k^j when `withGradient`.
+     */
+    function evaluate(controls, target, h, wzs, withGradient = true) {
+        const n = controls.length, weight = 1 / (6 * wzs.length);
+        const targetDag = dagger(target);
+        const grad = controls.map(() => [0, 0]);
+        let fidelity = 0;
+        for (const wz of wzs) {
+            const steps = controls.map(u => segment(u, wz, h));
+            const forward = [];
+            let U = identity();
+            for (const Uk of steps) forward.push(U = matMul(Uk, U));
+            const g = overlap(target, U);
+            fidelity += (cnorm2(g) + 2) * weight;
+            if (!withGradient) continue;
+
+            let B = identity();
+            for (let k = n - 1; k >= 0; k--) {
+                const M = matMul(forward[k], matMul(targetDag, B));
+                for (let j = 0; j < 2; j++) {
+                    const dg = cmul(c(0, -h / 2), traceWith(SIGMA[j], M));
+                    grad[k][j] += 2 * cmul(conj(g), dg).re * weight;
+                }
+                B = matMul(B, steps[k]);
+            }
+        }
+        return { fidelity, grad };
+    }
+
+    // ─── Optimisation ────
+    /**
+     * Optimise controls for `gate` (angle `param` for Rx/Ry/Rz) over `duration`
+     * (s) with |u| ≤ maxAmp (rad/s) and detuning spread `spread` (Hz). Returns
+     * { gate, param, duration, maxAmp, spread, controls, fidelity, centre,
+     * iterations, history, minDuration }, or null for invalid input.
+     */
+    function optimize({ gate, param, duration, maxAmp, spread = 0, segments = 40, iterations = 600 }) {
+        const target = GATES.includes(gate) ? SpinPhysics.gateMatrix(gate, param) : null;
+        if (!target || !(duration > 0) || !(maxAmp > 0)) return null;
+        const n = Math.max(2, Math.min(MAX_SEGMENTS, segments || 40));
+        const h = duration / n;
+        const wzs = spread > 0 ? SPREAD_POINTS.map(s => 2 * Math.PI * spread * s) : [0];
+        iterations = Math.max(1, Math.min(MAX_ITERATIONS, iterations));
+
+        // Weak random start, in units of maxAmp
+        let x = Array.from({ length: n }, () => [rand() - 0.5, rand() - 0.5].map(v => 0.4 * v));
+        const scale = xs => xs.map(([a, b]) => [a * maxAmp, b * maxAmp]);
+        let current = evaluate(scale(x), target, h, wzs);
+        const history = [current.fidelity];
+        let step = 1, iter = 0;
+        for (; iter < iterations && 1 - current.fidelity > 1e-10 && step > 1e-9; iter++) {
+            const trial = x.map(([a, b], k) => projectDisk(
+                a + step * current.grad[k][0] * maxAmp,
+                b + step * current.grad[k][1] * maxAmp));
+            const next = evaluate(scale(trial), target, h, wzs);
+            if (next.fidelity > current.fidelity) {
+                x = trial;
+                current = next;
+                step *= 1.5;
+            } else {
+                step *= 0.5;
+            }
+            history.push(current.fidelity);
+        }
+
+        const controls = scale(x);
+        last = {
+            gate, param, duration, maxAmp, spread, controls, history,
+            fidelity: current.fidelity,
+            centre: evaluate(controls, target, h, [0], false).fidelity,
+            iterations: iter,
+            // Rotation angle / Ω_max: no pulse of this amplitude is shorter
+            minDuration: axisAngle(target).angle / maxAmp
+        };
+        draw(last);
+        showResults(last);
+        if (els.applyBtn) els.applyBtn.disabled = false;
+        return last;
+    }
+
+    function projectDisk(a, b) {
+        const r = Math.hypot(a, b);
+        return r > 1 ? [a / r, b / r] : [a, b];
+    }
+
+    // Play the optimised waveform on the live qubit
+    function apply(result = last) {
+        if (!result) return 0;
+        return SpinPhysics.playPulse(PulseShapes.piecewise(result.controls, result.duration));
+    }
+
+    // ─── Display ────
+    function draw({ controls, duration, maxAmp }) {
+        if (!els.canvas) return;
+        const T = duration * 1e9, n = controls.length;
+        const toMHz = v => v / (2 * Math.PI * 1e6);
+        const steps = j => controls.flatMap((u, k) => [[T * k / n, toMHz(u[j])], [T * (k + 1) / n, toMHz(u[j])]]);
+        const limit = toMHz(maxAmp) * 1.1;
+        Plot.draw(els.canvas, {
+            xRange: [0, T], yRange: [-limit, limit],
+            xLabel: 't (ns)', yLabel: 'Ω / 2π (MHz)',
+            series: [
+                { kind: 'line', color: '#1a73e8', width: 1.5, points: steps(0) },
+                { kind: 'line', color: '#fbbc04', width: 1.5, points: steps(1) }
+            ],
+            legend: [{ label: 'I', color: '#1a73e8' }, { label: 'Q', color: '#fbbc04' }]
+        });
+    }
+
+    function showResults({ gate, param, fidelity, centre, iterations, spread, duration, minDuration }) {
+        const fmt = f => 1 - f < 1e-3 ? `1 − ${((1 - f) * 1e6).toFixed(2)}×10⁻⁶` : f.toFixed(5);
+        if (els.fidelity) els.fidelity.textContent = fmt(fidelity);
+        if (!els.fits) return;
+        const label = ['Rx', 'Ry', 'Rz'].includes(gate) ? `${gate}(${(param / Math.PI).toFixed(3)}π)` : gate;
+        const rows = [
+            `${label} · ${iterations} iterations · F(Δ = 0) ${fmt(centre)}`,
+            spread > 0 ? `averaged over Δ within ±${(spread / 1e6).toPrecision(3)} MHz` : 'resonant design (no detuning spread)'
+        ];
+        if (duration < minDuration) rows.push(`shorter than θ / Ω_max = ${(minDuration * 1e9).toFixed(1)} ns — F is amplitude limited`);
+        els.fits.innerHTML = rows.map(r => `<div class="experiment-fit-row">${r}</div>`).join('');
+    }
+
+    return { init, optimize, apply, evaluate, GATES };
+})();
@@ -4,10 +4,13 @@
  * FULLY INTERACTIVE:
  *   - Tiny dot-like atoms that visibly vibrate with temperature
  *   - Thermal vibration amplitude scales with kBT (physics-accurate)
- *   - Qubit markers pulse, precess, and change color with spin state
- *   - Exchange coupling lines animate between neighboring qubits
+ *   - Qubit markers pulse, precess, and change color with their own reduced
+ *     spin state (one QuantumRegister qubit per marker, same order)
+ *   - Exchange coupling lines animate between neighboring qubits; their
+ *     overlap strengths feed the Heisenberg exchange in exchange.js
  *   - B-field affects qubit precession speed
  *   - Gate voltages affect local potential landscape visually
+ *   - ²⁹Si atoms drawn in orange at the chosen isotope fraction
  */
 
 const Lattice = (() => {
@@ -28,10 +31,12 @@ const Lattice = (() => {
     let qubitIdCounter = 0;
     let interactionGroup;
     const interactionLines = [];
+    const couplings = []; // { i, j, overlap } for every drawn line
     const QUBIT_SITES = [];
 
     // Colors — high contrast
     const ATOM_COLOR = 0xb0bec5; // brighter silver
+    const SI29_COLOR = 0xff9800; // ²⁹Si — the nuclear spins of the Overhauser bath
     const BOND_COLOR = 0xd6dee3;
     const QUBIT_COLOR_0 = new THREE.Color(0x00e676); // |0⟩ vivid emerald green
     const QUBIT_COLOR_1 = new THREE.Color(0xff1744); // |1⟩ hot red/magenta
@@ -44,6 +49,11 @@ const Lattice = (() => {
     // Shared geometries/materials for atoms
     let atomGeo, bondGeo;
 
+    // Seeded stream for atom phases and qubit placement
+    const rand = Rng.stream('lattice');
+    // Separate stream so the isotope draw leaves qubit placement unchanged
+    const isotopeRand = Rng.stream('isotopes');
+
     function init(scene) {
         scene_ref = scene;
         group = new THREE.Group();
@@ -103,14 +113,18 @@ const Lattice = (() => {
                 dist: p.dist,
                 alpha,
                 // Per-atom random phase for vibration
-                phaseX: Math.random() * Math.PI * 2,
-                phaseY: Math.random() * Math.PI * 2,
-                phaseZ: Math.random() * Math.PI * 2,
-                freqX: 2 + Math.random() * 4,
-                freqY: 2 + Math.random() * 4,
-                freqZ: 2 + Math.random() * 4
+                phaseX: rand() * Math.PI * 2,
+                phaseY: rand() * Math.PI * 2,
+                phaseZ: rand() * Math.PI * 2,
+                freqX: 2 + rand() * 4,
+                freqY: 2 + rand() * 4,
+                freqZ: 2 + rand() * 4,
+                // Atom is ²⁹Si when this falls below the isotope fraction
+                isotopeRoll: isotopeRand(),
+                si29: false
             });
         }
+        setSi29Fraction(Decoherence.getState().si29Fraction);
 
         // ─── Bonds ────
         const nnDist = SCALE * 0.435;
@@ -192,6 +206,7 @@ const Lattice = (() => {
     // ─── Qubit Management ────
     function addQubit(position) {
         if (!scene_ref) return null;
+        if (QuantumRegister.addQubit() === -1) return null;
         const id = qubitIdCounter++;
 
         // Qubit core — bright sphere
@@ -249,7 +264,7 @@ const Lattice = (() => {
         const qubit = {
             id, position: position.clone(),
             marker, halo, glow, arrow,
-            phase: Math.random() * Math.PI * 2,
+            phase: rand() * Math.PI * 2,
             spinAngle: 0 // precession angle
         };
         qubits.push(qubit);
@@ -268,6 +283,9 @@ const Lattice = (() => {
         q.glow.geometry.dispose(); q.glow.material.dispose();
         q.arrow.geometry.dispose(); q.arrow.material.dispose();
         qubits.splice(idx, 1);
+        // Removal measures the qubit, which collapses any partner it was
+        // entangled with — the addressed qubit included
+        SpinPhysics.removeQubit(idx);
         rebuildInteractions();
         return true;
     }
@@ -281,7 +299,7 @@ const Lattice = (() => {
         const occupied = new Set(qubits.map(q => `${q.position.x.toFixed(1)},${q.position.z.toFixed(1)}`));
         const available = QUBIT_SITES.filter(s => !occupied.has(`${s.x.toFixed(1)},${s.z.toFixed(1)}`));
         if (available.length === 0) return null;
-        const site = available[Math.floor(Math.random() * available.length)];
+        const site = available[Math.floor(rand() * available.length)];
         return addQubit(site);
     }
 
@@ -293,6 +311,7 @@ const Lattice = (() => {
             line.material.dispose();
         }
         interactionLines.length = 0;
+        couplings.length = 0;
 
         for (let i = 0; i < qubits.length; i++) {
             for (let j = i + 1; j < qubits.length; j++) {
@@ -328,6 +347,7 @@ const Lattice = (() => {
                     tube._qj = j;
                     interactionGroup.add(tube);
                     interactionLines.push(tube);
+                    couplings.push({ i, j, overlap: strength });
                 }
             }
         }
@@ -362,7 +382,7 @@ const Lattice = (() => {
             }
 
             // Atoms get warmer-colored at high temperature
-            if (noiseLevel > 0.01) {
+            if (noiseLevel > 0.01 && !a.si29) {
                 const warmth = noiseLevel * 0.6;
                 const r = 0.565 + warmth * 0.4; // blue-grey → warm
                 const g = 0.643 - warmth * 0.15;
@@ -374,12 +394,20 @@ const Lattice = (() => {
         // ────────────────────────────────────────────────
         // QUBIT MARKERS — respond to spin state & temperature
         // ────────────────────────────────────────────────
-        const spinState = typeof SpinPhysics !== 'undefined' ? SpinPhysics.getState() : null;
-        const p1 = spinState ? spinState.probUp : 0;
-        const theta = spinState ? spinState.theta : 0;
-        const phi = spinState ? spinState.phi : 0;
+        const hasSpin = typeof SpinPhysics !== 'undefined';
+        const qubitP1 = [];
+
+        for (let i = 0; i < qubits.length; i++) {
+            const q = qubits[i];
+
+            // ── Reduced Bloch vector of this qubit ──
+            const r = hasSpin ? SpinPhysics.getQubitBlochVector(i) : { x: 0, y: 0, z: 1 };
+            const rLen = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+            const p1 = Math.max(0, Math.min(1, (1 - r.z) / 2));
+            const theta = Math.acos(Math.max(-1, Math.min(1, rLen > 1e-9 ? r.z / rLen : r.z)));
+            const phi = Math.atan2(r.y, r.x);
+            qubitP1.push(p1);
 
-        for (const q of qubits) {
             // ── Spin-state color blend (|0⟩ blue → |1⟩ red) ──
             const c = new THREE.Color();
             c.lerpColors(QUBIT_COLOR_0, QUBIT_COLOR_1, p1);
@@ -407,7 +435,8 @@ const Lattice = (() => {
             q.halo.scale.setScalar(pulse * 1.15);
 
             // ── Halo brightness responds to coherence ──
-            const coherenceFactor = decoState ? Math.max(0.05, 1 - decoState.noiseLevel) : 1;
+            // A shrunken Bloch vector (mixed or entangled qubit) dims the halo
+            const coherenceFactor = (decoState ? Math.max(0.05, 1 - decoState.noiseLevel) : 1) * Math.max(0.2, rLen);
             q.halo.material.opacity = 0.12 * coherenceFactor + Math.sin(elapsed * 3 + q.id) * 0.04;
             q.glow.material.opacity = 0.04 * coherenceFactor;
 
@@ -423,7 +452,7 @@ const Lattice = (() => {
                 q.marker.position.z
             );
             q.arrow.rotation.z = theta - Math.PI; // tilt with spin
-            q.arrow.rotation.y = q.spinAngle; // precess
+            q.arrow.rotation.y = q.spinAngle + phi; // precess
 
             // Arrow color follows spin state
             q.arrow.material.color.copy(c);
@@ -448,13 +477,16 @@ const Lattice = (() => {
         // ────────────────────────────────────────────────
         for (const line of interactionLines) {
             const s = line._strength || 0.5;
-            // Pulsing opacity
-            line.material.opacity = s * (0.25 + Math.sin(elapsed * 4 + line._qi * 0.5) * 0.15);
-
-            // Color shifts with spin state
-            if (p1 > 0.01) {
+            // Pulsing opacity, brighter as the barrier gate opens the exchange
+            const open = typeof Exchange !== 'undefined' ? Exchange.getBarrierFactor() : 0;
+            const pulseRate = 4 + open * 8;
+            line.material.opacity = s * (0.25 + Math.sin(elapsed * pulseRate + line._qi * 0.5) * 0.15) * (0.5 + open);
+
+            // Color shifts with the spin states of both ends
+            const pairP1 = ((qubitP1[line._qi] || 0) + (qubitP1[line._qj] || 0)) / 2;
+            if (pairP1 > 0.01) {
                 const lineColor = new THREE.Color();
-                lineColor.lerpColors(INTERACTION_COLOR, new THREE.Color(0xff4081), p1 * 0.5);
+                lineColor.lerpColors(INTERACTION_COLOR, new THREE.Color(0xff4081), pairP1 * 0.5);
                 line.material.color.copy(lineColor);
             }
         }
@@ -474,16 +506,27 @@ const Lattice = (() => {
         }
     }
 
+    // ─── Isotopes ────
+    // Recolor the atoms so a fraction c of them shows as ²⁹Si
+    function setSi29Fraction(c) {
+        for (const a of atoms) {
+            a.si29 = a.isotopeRoll < c;
+            a.mesh.material.color.setHex(a.si29 ? SI29_COLOR : ATOM_COLOR);
+            a.mesh.scale.setScalar(a.si29 ? 1.8 : 1);
+        }
+    }
+
     function showQuantumDot(visible) {
         // Legacy compat
     }
 
     function getQubits() { return [...qubits]; }
+    function getCouplings() { return couplings.map(c => ({ ...c })); }
     function getQubitCount() { return qubits.length; }
 
     return {
         init, update, showQuantumDot,
         addQubit, removeQubit, removeLastQubit, addQubitAtRandomSite,
-        getQubits, getQubitCount, rebuildInteractions
+        getQubits, getQubitCount, getCouplings, rebuildInteractions, setSi29Fraction
     };
 })();
@@ -206,10 +206,8 @@
                     slider.value = tempMK;
                     slider.dispatchEvent(new Event('input', { bubbles: true }));
                 }
-                Decoherence.setTemperature(tempMK);
-                // Update header chip
-                const headerTemp = document.getElementById('header-temp');
-                if (headerTemp) headerTemp.textContent = tempMK + ' mK';
+                // The fridge relaxes toward the new setpoint
+                Fridge.setSetpoint(tempMK);
             },
             onBFieldChange: (bField) => {
                 // Update slider UI
@@ -274,6 +272,7 @@
         camera.lookAt(0, 0, 0);
 
         // Physics
+        try { Fridge.update(dt); } catch (e) { }
         const decoState = Decoherence.getState();
 
         try { Lattice.update(dt, elapsed, decoState); } catch (e) { }
@@ -282,6 +281,7 @@
         try {
             const isPulsing = PulseController.getIsPulsing();
             SpinPhysics.evolve(dt, isPulsing);
+            Exchange.evolve(dt, Lattice.getCouplings());
             SpinPhysics.applyDecoherence(dt, decoState);
             PulseController.update(dt);
         } catch (e) { }
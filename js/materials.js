@@ -0,0 +1,108 @@
+/**
+ * materials.js — Material & Device Presets for the Decoherence Model
+ *
+ * Each profile supplies what decoherence.js used to hard-code:
+ *   - name / chip:       display names (Environment select, header chip)
+ *   - gFactor:           electron g-factor (Zeeman energy, Larmor frequency)
+ *   - valleySplitting:   meV; sets the Orbach T1 mechanism ∝ e^(−E_v / k_BT)
+ *   - si29:              ²⁹Si fraction of the reference device
+ *   - reference:         measured at tRef (K), 1 T and the si29 above:
+ *                        T1, T2 (Hahn echo), T2star (Ramsey), all in s
+ *   - nuclear:           T2star / T2 limits from the ²⁹Si bath at natural
+ *                        abundance (s), scaled as c^-1/2 and 1/c
+ *   - mechanisms:        1/T1 coefficients (1/s) at tRef and 1 T:
+ *                        direct (∝ T B⁴), raman (∝ T⁷), orbach (prefactor);
+ *                        the Johnson term is 1/T1_ref ∝ T
+ * A user profile is JSON with the same keys; anything left out is taken
+ * from the default preset.
+ */
+
+const Materials = (() => {
+    const PRESETS = {
+        'natsi-mos': {
+            name: 'Natural Si MOS', chip: 'natSi MOS',
+            gFactor: 1.9990, valleySplitting: 0.3, si29: 0.047,
+            reference: { tRef: 0.020, T1: 1.0, T2: 0.5e-3, T2star: 8e-6 },
+            nuclear: { T2star: 21e-6, T2: 1.5e-3 },
+            mechanisms: { direct: 1e-3, raman: 1e-8, orbach: 1e3 }
+        },
+        'si28-mos': {
+            // Veldhorst et al. 2014 (T2, T2*), Muhonen et al. 2014 (T1)
+            name: '²⁸Si MOS', chip: '²⁸Si MOS',
+            gFactor: 1.9990, valleySplitting: 0.3, si29: 800e-6,
+            reference: { tRef: 0.020, T1: 6.0, T2: 0.028, T2star: 120e-6 },
+            nuclear: { T2star: 21e-6, T2: 1.5e-3 },
+            mechanisms: { direct: 1e-3, raman: 1e-8, orbach: 1e3 }
+        },
+        'si28-sige': {
+            // Yoneda et al. 2018; small valley splitting, micromagnet charge noise
+            name: '²⁸Si/SiGe', chip: '²⁸Si/SiGe',
+            gFactor: 2.0000, valleySplitting: 0.1, si29: 800e-6,
+            reference: { tRef: 0.030, T1: 0.5, T2: 99e-6, T2star: 20e-6 },
+            nuclear: { T2star: 30e-6, T2: 1.5e-3 },
+            mechanisms: { direct: 1e-2, raman: 1e-8, orbach: 1e3 }
+        },
+        'p31-si28': {
+            // Muhonen et al. 2014; valley-orbit gap 1s(A₁)–1s(E) ≈ 11.7 meV
+            name: '³¹P donor in ²⁸Si', chip: '³¹P:²⁸Si',
+            gFactor: 1.9985, valleySplitting: 11.7, si29: 800e-6,
+            reference: { tRef: 0.020, T1: 6.0, T2: 1.0e-3, T2star: 160e-6 },
+            nuclear: { T2star: 50e-6, T2: 0.3e-3 },
+            mechanisms: { direct: 1e-3, raman: 1e-8, orbach: 1e3 }
+        }
+    };
+    const DEFAULT = 'si28-mos';
+
+    // Deep copy, so callers cannot edit the presets
+    function clone(profile) { return JSON.parse(JSON.stringify(profile)); }
+
+    function get(id) { return clone(PRESETS[id] || PRESETS[DEFAULT]); }
+
+    function list() { return Object.keys(PRESETS).map(id => ({ id, name: PRESETS[id].name })); }
+
+    // Numeric fields as [path, min, max]
+    const FIELDS = [
+        ['gFactor', 0.1, 10], ['valleySplitting', 0, 100], ['si29', 0, 0.047],
+        ['reference.tRef', 1e-4, 10], ['reference.T1', 1e-9, 1e3],
+        ['reference.T2', 1e-12, 1e3], ['reference.T2star', 1e-12, 1e3],
+        ['nuclear.T2star', 1e-12, 1e3], ['nuclear.T2', 1e-12, 1e3],
+        ['mechanisms.direct', 0, 1e12], ['mechanisms.raman', 0, 1e12], ['mechanisms.orbach', 0, 1e15]
+    ];
+
+    /**
+     * Profile from user JSON, merged over the default preset. Throws an Error
+     * naming the first invalid field.
+     */
+    function fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid JSON: ' + e.message);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected a JSON object');
+
+        const profile = get(DEFAULT);
+        profile.name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom';
+        profile.chip = typeof data.chip === 'string' && data.chip.trim() ? data.chip.trim() : profile.name;
+        for (const [path, min, max] of FIELDS) {
+            const keys = path.split('.');
+            let src = data;
+            for (const k of keys) src = src && typeof src === 'object' ? src[k] : undefined;
+            if (src === undefined) continue;
+            if (typeof src !== 'number' || !Number.isFinite(src) || src < min || src > max) {
+                throw new Error(`${path} must be a number in [${min}, ${max}]`);
+            }
+            let dst = profile;
+            for (const k of keys.slice(0, -1)) dst = dst[k];
+            dst[keys[keys.length - 1]] = src;
+        }
+        if (profile.reference.T2star > profile.reference.T2) throw new Error('reference.T2star cannot exceed reference.T2');
+        if (profile.reference.T2 > 2 * profile.reference.T1) throw new Error('reference.T2 cannot exceed 2 × reference.T1');
+        return profile;
+    }
+
+    function toJSON(profile) { return JSON.stringify(profile, null, 2); }
+
+    return { DEFAULT, get, list, fromJSON, toJSON };
+})();
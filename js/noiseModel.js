@@ -0,0 +1,156 @@
+/**
+ * noiseModel.js — Gate-Level Noise for Circuits
+ *
+ * While enabled, every gate applied through SpinPhysics.applyGate (and every
+ * multi-shot run) is followed by error channels with per-gate-type rates:
+ *   - Over-rotation ε: the gate's rotation angle is scaled by (1 + ε); for
+ *     CNOT/CZ this is the conditional phase, for SWAP/√SWAP the exchange angle
+ *   - Amplitude damping γ: K₀ = diag(1, √(1−γ)), K₁ = √γ |0⟩⟨1|
+ *   - Phase flip p: Z with probability p
+ *   - Depolarizing p: a uniformly random non-identity Pauli with probability
+ *     p (3 single-qubit, 15 two-qubit choices); p = 3/4 fully depolarizes
+ * Damping and phase flip act on each qubit the gate touches.
+ *
+ * With "from T1/T2" on, γ and p_φ come from the current Decoherence times
+ * over the gate duration t_g:
+ *   γ = 1 − e^(−t_g/T1),   p_φ = (1 − e^(−t_g/T_φ)) / 2,   1/T_φ = 1/T2 − 1/(2T1)
+ *
+ * Channels act exactly on the addressed qubit's ρ; on state vectors they are
+ * sampled as quantum trajectories (one Kraus branch per application), which
+ * average to the same channel over shots.
+ */
+
+const NoiseModel = (() => {
+    const { c, cadd, csub, cmul, cscale, cexp, rotation, axisAngle } = QubitMath;
+
+    const GATE_TYPES = ['X', 'Y', 'Z', 'H', 'S', 'T', 'Rx', 'Ry', 'Rz', 'U3', 'Rn', 'U', 'CNOT', 'CZ', 'SWAP', 'SQRTSWAP'];
+    const PARAM_KEYS = ['depolarizing', 'damping', 'dephasing', 'overRotation'];
+
+    let enabled = false;
+    let fromDecoherence = false;
+    const gateTime = { single: 100e-9, two: 200e-9 }; // s
+
+    const params = {};
+    for (const g of GATE_TYPES) params[g] = { depolarizing: 0, damping: 0, dephasing: 0, overRotation: 0 };
+
+    const PAULI = [
+        [[c(1), c(0)], [c(0), c(1)]],
+        [[c(0), c(1)], [c(1), c(0)]],
+        [[c(0), c(0, -1)], [c(0, 1), c(0)]],
+        [[c(1), c(0)], [c(0), c(-1)]]
+    ];
+
+    function isTwoQubit(gate) { return SpinPhysics.TWO_QUBIT_GATES.includes(gate); }
+
+    function setEnabled(on) { enabled = !!on; }
+    function isEnabled() { return enabled; }
+    function setFromDecoherence(on) { fromDecoherence = !!on; }
+    function isFromDecoherence() { return fromDecoherence; }
+
+    function setGateTime(kind, seconds) {
+        if (kind in gateTime && seconds >= 0) gateTime[kind] = seconds;
+    }
+    function getGateTime(kind) { return gateTime[kind]; }
+
+    // gate 'ALL' sets every gate type; probabilities clamp to [0, 1]
+    function setParam(gate, key, value) {
+        if (!PARAM_KEYS.includes(key) || !Number.isFinite(value)) return;
+        const v = key === 'overRotation' ? value : Math.max(0, Math.min(1, value));
+        for (const g of gate === 'ALL' ? GATE_TYPES : [gate]) {
+            if (params[g]) params[g][key] = v;
+        }
+    }
+
+    function getManualParams(gate) { return { ...params[gate] }; }
+
+    // γ and p_φ for one gate of the given kind under the current T1/T2
+    function derivedRates(kind) {
+        const { T1, T2 } = Decoherence.getState();
+        const t = gateTime[kind];
+        const damping = 1 - Math.exp(-t / T1);
+        const gPhi = Math.max(0, 1 / T2 - 1 / (2 * T1));
+        return { damping, dephasing: (1 - Math.exp(-t * gPhi)) / 2 };
+    }
+
+    // Effective error rates for a gate, or null for unknown gates
+    function getParams(gate) {
+        if (!params[gate]) return null;
+        const p = { ...params[gate] };
+        if (fromDecoherence) Object.assign(p, derivedRates(isTwoQubit(gate) ? 'two' : 'single'));
+        return p;
+    }
+
+    // ─── Coherent Error ────
+    // Gate matrix with its rotation angle scaled by (1 + ε)
+    function noisyMatrix(gate, param, eps) {
+        if (isTwoQubit(gate)) {
+            if (!eps) return SpinPhysics.twoQubitMatrix(gate);
+            switch (gate) {
+                case 'SWAP': return Exchange.exchangeMatrix(Math.PI * (1 + eps));
+                case 'SQRTSWAP': return Exchange.exchangeMatrix(Math.PI / 2 * (1 + eps));
+                default: return controlledPhase(gate === 'CNOT', Math.PI * (1 + eps));
+            }
+        }
+        const U = SpinPhysics.gateMatrix(gate, param);
+        if (!U || !eps) return U;
+        const { nx, ny, nz, angle, phase } = axisAngle(U);
+        return rotation(nx, ny, nz, angle * (1 + eps)).map(row => row.map(z => cmul(cexp(phase), z)));
+    }
+
+    // diag(1, 1, 1, e^{iφ}), conjugated by H on the target for CNOT
+    function controlledPhase(cnot, phi) {
+        const o = c(0), l = c(1), e = cexp(phi);
+        if (!cnot) return [[l, o, o, o], [o, l, o, o], [o, o, l, o], [o, o, o, e]];
+        const a = cscale(cadd(l, e), 0.5), b = cscale(csub(l, e), 0.5);
+        return [[l, o, o, o], [o, l, o, o], [o, o, a, b], [o, o, b, a]];
+    }
+
+    // ─── Exact Channels on ρ ────
+    function applyToRho(rho, p) {
+        const g = p.damping, lam = 1 - 4 * p.depolarizing / 3;
+        let r00 = rho[0][0].re + g * rho[1][1].re;
+        const r01 = cscale(rho[0][1], Math.sqrt(1 - g) * (1 - 2 * p.dephasing) * lam);
+        // Depolarizing shrinks z toward 0 by λ as well
+        const z = (r00 - (1 - r00)) * lam;
+        r00 = (1 + z) / 2;
+        return [
+            [c(r00), r01],
+            [{ re: r01.re, im: -r01.im }, c(1 - r00)]
+        ];
+    }
+
+    // ─── Trajectories on State Vectors ────
+    function dampOne(sv, q, gamma, rand) {
+        if (gamma <= 0) return;
+        const jump = rand() < gamma * StateVector.probabilityOne(sv, q);
+        const K = jump
+            ? [[c(0), c(1)], [c(0), c(0)]]
+            : [[c(1), c(0)], [c(0), c(Math.sqrt(1 - gamma))]];
+        StateVector.applySingle(sv, q, K);
+        StateVector.normalize(sv);
+    }
+
+    // One sampled Kraus branch of every channel on `qubits`
+    function sampleOnState(sv, qubits, p, rand) {
+        for (const q of qubits) {
+            dampOne(sv, q, p.damping, rand);
+            if (rand() < p.dephasing) StateVector.applySingle(sv, q, PAULI[3]);
+        }
+        if (p.depolarizing > 0 && rand() < p.depolarizing) {
+            if (qubits.length === 2) {
+                const k = 1 + Math.floor(rand() * 15);
+                if (k & 3) StateVector.applySingle(sv, qubits[0], PAULI[k & 3]);
+                if (k >> 2) StateVector.applySingle(sv, qubits[1], PAULI[k >> 2]);
+            } else {
+                StateVector.applySingle(sv, qubits[0], PAULI[1 + Math.floor(rand() * 3)]);
+            }
+        }
+    }
+
+    return {
+        setEnabled, isEnabled, setFromDecoherence, isFromDecoherence,
+        setGateTime, getGateTime, setParam, getManualParams, getParams, derivedRates,
+        noisyMatrix, applyToRho, sampleOnState,
+        GATE_TYPES, PARAM_KEYS
+    };
+})();
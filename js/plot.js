@@ -0,0 +1,194 @@
+/**
+ * plot.js — Small Canvas Charts for the Experiment Panels
+ *
+ * draw(canvas, spec) renders an x–y chart in the same flat style as the
+ * potential graph: light grid, grey axis labels, HiDPI backing store.
+ *
+ * spec = {
+ *   xRange: [min, max], yRange: [min, max],
+ *   xLabel, yLabel,
+ *   series: [{ points: [[x, y], …], color, kind: 'line' | 'dots' | 'area',
+ *              dash: [on, off], width, errors: [σy, …],
+ *              base: [[x, y], …] (area: lower edge, default the x axis) }],
+ *   legend: [{ label, color }]
+ * }
+ *
+ * heatmap(canvas, spec) fills the same frame with a grid of cells:
+ *   spec = { xRange, yRange, xLabel, yLabel, values: [row y][column x],
+ *            zRange: [min, max], legend }
+ * rows and columns spanning the ranges evenly; NaN cells are left blank.
+ */
+
+const Plot = (() => {
+    const PAD = { left: 36, right: 8, top: 10, bottom: 22 };
+
+    // Size the backing store to the element's CSS box at 2× resolution
+    function prepare(canvas) {
+        const w = canvas.offsetWidth, h = canvas.offsetHeight;
+        if (w <= 0 || h <= 0) return null;
+        if (canvas.width !== w * 2 || canvas.height !== h * 2) {
+            canvas.width = w * 2;
+            canvas.height = h * 2;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(2, 0, 0, 2, 0, 0);
+        return { ctx, w, h };
+    }
+
+    // Round tick step (1, 2 or 5 × 10^k) giving about `count` ticks
+    function niceStep(span, count) {
+        const raw = span / Math.max(1, count);
+        const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+        const norm = raw / mag;
+        return (norm < 1.5 ? 1 : norm < 3.5 ? 2 : norm < 7.5 ? 5 : 10) * mag;
+    }
+
+    function formatTick(v, step) {
+        const digits = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+        return v.toFixed(Math.min(digits, 4));
+    }
+
+    function draw(canvas, spec) {
+        const box = canvas && prepare(canvas);
+        if (!box) return;
+        const { ctx, w, h } = box;
+        const { sx, sy, pw, ph } = frame(ctx, w, h, spec);
+
+        // Series, clipped to the plot area
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(PAD.left, PAD.top, pw, ph);
+        ctx.clip();
+        for (const s of spec.series || []) {
+            ctx.strokeStyle = ctx.fillStyle = s.color || '#1a73e8';
+            ctx.lineWidth = s.width || 1.5;
+            ctx.setLineDash(s.dash || []);
+            if (s.kind === 'dots') {
+                s.points.forEach(([x, y], i) => {
+                    if (s.errors && s.errors[i] > 0) {
+                        ctx.lineWidth = 1;
+                        ctx.beginPath();
+                        ctx.moveTo(sx(x), sy(y - s.errors[i]));
+                        ctx.lineTo(sx(x), sy(y + s.errors[i]));
+                        ctx.stroke();
+                    }
+                    ctx.beginPath();
+                    ctx.arc(sx(x), sy(y), 2.2, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            } else if (s.kind === 'area') {
+                const base = s.base || s.points.map(([x]) => [x, spec.yRange[0]]);
+                ctx.beginPath();
+                s.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(sx(x), sy(y)) : ctx.lineTo(sx(x), sy(y))));
+                for (let i = base.length - 1; i >= 0; i--) ctx.lineTo(sx(base[i][0]), sy(base[i][1]));
+                ctx.closePath();
+                ctx.fill();
+            } else {
+                ctx.beginPath();
+                s.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(sx(x), sy(y)) : ctx.lineTo(sx(x), sy(y))));
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+        ctx.setLineDash([]);
+        legend(ctx, w, spec.legend);
+    }
+
+    function heatmap(canvas, spec) {
+        const box = canvas && prepare(canvas);
+        if (!box) return;
+        const { ctx, w, h } = box;
+        const { pw, ph } = frame(ctx, w, h, spec);
+        const rows = spec.values, ny = rows.length, nx = ny ? rows[0].length : 0;
+        const [z0, z1] = spec.zRange;
+        const cw = pw / nx, ch = ph / ny;
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const z = rows[j][i];
+                if (!Number.isFinite(z)) continue;
+                ctx.fillStyle = colormap((z - z0) / (z1 - z0 || 1));
+                // Row 0 at the bottom; cells overlap by half a pixel against seams
+                ctx.fillRect(PAD.left + i * cw, PAD.top + ph - (j + 1) * ch, cw + 0.5, ch + 0.5);
+            }
+        }
+        ctx.strokeStyle = '#bdc1c6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(PAD.left, PAD.top, pw, ph);
+        // The y title sits inside the plot area
+        ctx.fillStyle = 'rgba(248, 249, 250, 0.85)';
+        ctx.fillRect(PAD.left + 1, PAD.top + 1, ctx.measureText(spec.yLabel || '').width * 1.2 + 6, 14);
+        titles(ctx, w, h, spec);
+        legend(ctx, w, spec.legend);
+    }
+
+    // Dark blue → blue → teal → green → yellow for t ∈ [0, 1]
+    const STOPS = [[26, 35, 126], [26, 115, 232], [0, 172, 193], [52, 168, 83], [251, 188, 4]];
+    function colormap(t) {
+        const u = Math.max(0, Math.min(1, t)) * (STOPS.length - 1);
+        const k = Math.min(STOPS.length - 2, Math.floor(u)), f = u - k;
+        const [r, g, b] = STOPS[k].map((v, i) => Math.round(v + (STOPS[k + 1][i] - v) * f));
+        return `rgb(${r},${g},${b})`;
+    }
+
+    // Background, grid, tick labels and axis titles; returns the data → pixel maps
+    function frame(ctx, w, h, spec) {
+        const [x0, x1] = spec.xRange, [y0, y1] = spec.yRange;
+        const pw = w - PAD.left - PAD.right, ph = h - PAD.top - PAD.bottom;
+        const sx = x => PAD.left + (x - x0) / (x1 - x0 || 1) * pw;
+        const sy = y => PAD.top + (1 - (y - y0) / (y1 - y0 || 1)) * ph;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, w, h);
+
+        // Grid and tick labels
+        ctx.font = '10px Inter, sans-serif';
+        ctx.lineWidth = 0.5;
+        const xs = niceStep(x1 - x0, 5), ys = niceStep(y1 - y0, 4);
+        for (let v = Math.ceil(x0 / xs) * xs; v <= x1 + 1e-9 * xs; v += xs) {
+            ctx.strokeStyle = '#e8eaed';
+            ctx.beginPath(); ctx.moveTo(sx(v), PAD.top); ctx.lineTo(sx(v), PAD.top + ph); ctx.stroke();
+            ctx.fillStyle = '#5f6368';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatTick(v, xs), sx(v), h - 10);
+        }
+        for (let v = Math.ceil(y0 / ys) * ys; v <= y1 + 1e-9 * ys; v += ys) {
+            ctx.strokeStyle = '#e8eaed';
+            ctx.beginPath(); ctx.moveTo(PAD.left, sy(v)); ctx.lineTo(PAD.left + pw, sy(v)); ctx.stroke();
+            ctx.fillStyle = '#5f6368';
+            ctx.textAlign = 'right';
+            ctx.fillText(formatTick(v, ys), PAD.left - 4, sy(v) + 3);
+        }
+        ctx.strokeStyle = '#bdc1c6';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(PAD.left, PAD.top, pw, ph);
+        titles(ctx, w, h, spec);
+        return { sx, sy, pw, ph };
+    }
+
+    // Axis titles
+    function titles(ctx, w, h, spec) {
+        ctx.fillStyle = '#5f6368';
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        if (spec.xLabel) ctx.fillText(spec.xLabel, w - PAD.right, h - 1);
+        ctx.textAlign = 'left';
+        if (spec.yLabel) ctx.fillText(spec.yLabel, PAD.left + 4, PAD.top + 11);
+    }
+
+    // Legend, top-right
+    function legend(ctx, w, items) {
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        (items || []).forEach((item, i) => {
+            const y = PAD.top + 12 + i * 12;
+            ctx.fillStyle = item.color;
+            ctx.fillRect(w - PAD.right - 8, y - 6, 6, 6);
+            ctx.fillStyle = '#5f6368';
+            ctx.fillText(item.label, w - PAD.right - 12, y);
+        });
+        ctx.textAlign = 'left';
+    }
+
+    return { draw, heatmap, colormap };
+})();
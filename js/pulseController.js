@@ -2,6 +2,10 @@
  * pulseController.js — Microwave Pulse UI & Animation (v2)
  *
  * Hold-to-pulse button with SVG ring progress.
+ * Shaped-pulse controls: envelope, duration, rotation angle and DRAG β,
+ * with the I/Q envelope plotted and played through SpinPhysics.playPulse.
+ * Drive duty cycle (held or shaped pulse on) averaged over DUTY_WINDOW,
+ * for the fridge's microwave heating.
  * Google Material Design colors.
  */
 
@@ -9,6 +13,8 @@ const PulseController = (() => {
     let isPulsing = false;
     let pulseDuration = 0;
     const PI_PULSE_TIME = 2.0; // seconds for π rotation
+    const DUTY_WINDOW = 1.0;   // s, averaging time of the duty cycle
+    let dutyCycle = 0;
     let btn, ringFg;
 
     function init(button, ring) {
@@ -37,7 +43,72 @@ const PulseController = (() => {
         btn.addEventListener('touchend', stop);
     }
 
+    // ─── Shaped Pulses ────
+    const shaped = {};
+
+    function initShapedPulse() {
+        shaped.shape = document.getElementById('pulse-shape');
+        shaped.duration = document.getElementById('pulse-duration');
+        shaped.angle = document.getElementById('pulse-angle');
+        shaped.beta = document.getElementById('pulse-drag-beta');
+        shaped.playBtn = document.getElementById('pulse-play-btn');
+        shaped.canvas = document.getElementById('pulse-canvas');
+        if (!shaped.playBtn) return;
+
+        [shaped.shape, shaped.duration, shaped.angle, shaped.beta].forEach(input => {
+            if (input) input.addEventListener('change', drawEnvelope);
+        });
+        shaped.playBtn.addEventListener('click', () => {
+            const spec = getShapedSpec();
+            if (!spec || SpinPhysics.isPlayingPulse()) return;
+            SpinPhysics.playPulse(spec);
+            if (AudioFeedback && AudioFeedback.playPulseStart) AudioFeedback.playPulseStart();
+        });
+        // The canvas has no size until its stage is shown
+        const section = shaped.canvas && shaped.canvas.closest('.control-section');
+        if (section) section.addEventListener('pointerenter', drawEnvelope);
+        window.addEventListener('resize', drawEnvelope);
+        drawEnvelope();
+    }
+
+    // { shape, duration (s), angle (rad), beta (s) } from the inputs, or null
+    function getShapedSpec() {
+        const duration = parseFloat(shaped.duration.value) * 1e-9;
+        const angle = parseFloat(shaped.angle.value) * Math.PI;
+        const beta = parseFloat(shaped.beta.value) * 1e-9;
+        if (!(duration > 0) || !Number.isFinite(angle)) return null;
+        return { shape: shaped.shape.value, duration, angle, beta: Number.isFinite(beta) ? beta : 0 };
+    }
+
+    function drawEnvelope() {
+        const spec = getShapedSpec();
+        if (!shaped.canvas || !spec) return;
+        const drive = PulseShapes.drive(spec);
+        const n = 200, T = spec.duration * 1e9;
+        const I = [], Q = [];
+        for (let k = 0; k <= n; k++) {
+            const [i, q] = drive.at(spec.duration * k / n);
+            I.push([T * k / n, i / (2 * Math.PI * 1e6)]);
+            Q.push([T * k / n, q / (2 * Math.PI * 1e6)]);
+        }
+        const values = I.concat(Q).map(p => p[1]);
+        const lo = Math.min(0, ...values), hi = Math.max(...values);
+        const pad = 0.1 * (hi - lo || 1);
+        Plot.draw(shaped.canvas, {
+            xRange: [0, T], yRange: [lo - pad, hi + pad],
+            xLabel: 't (ns)', yLabel: 'MHz',
+            series: [
+                { kind: 'line', color: '#1a73e8', width: 1.5, points: I },
+                { kind: 'line', color: '#fbbc04', width: 1.5, dash: [4, 3], points: Q }
+            ],
+            legend: [{ label: 'I', color: '#1a73e8' }, { label: 'Q (DRAG)', color: '#fbbc04' }]
+        });
+    }
+
     function update(dt) {
+        const playing = SpinPhysics.isPlayingPulse();
+        if (shaped.playBtn) shaped.playBtn.disabled = playing;
+        dutyCycle += ((isPulsing || playing ? 1 : 0) - dutyCycle) * (1 - Math.exp(-dt / DUTY_WINDOW));
         if (!isPulsing) return;
         pulseDuration += dt;
 
@@ -62,6 +133,7 @@ const PulseController = (() => {
 
     function getIsPulsing() { return isPulsing; }
     function getDuration() { return pulseDuration; }
+    function getDutyCycle() { return dutyCycle; }
 
-    return { init, update, getIsPulsing, getDuration };
+    return { init, initShapedPulse, update, getIsPulsing, getDuration, getDutyCycle };
 })();
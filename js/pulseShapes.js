@@ -0,0 +1,113 @@
+/**
+ * pulseShapes.js — Microwave Pulse Envelopes
+ *
+ * Envelopes s(t) on [0, T] with peak 1, for a drive Ω(t) = Ω_peak s(t):
+ *   - square:   1
+ *   - gaussian: e^(−(t − T/2)²/2σ²) with σ = T/6, shifted and rescaled so
+ *               it starts and ends at 0
+ *   - cosine:   ½(1 − cos 2πt/T)
+ *   - sinc:     sinc(2π·SINC_LOBES (t − T/2)/T), three lobes either side
+ *   - drag:     gaussian in-phase, plus a quadrature β dΩ/dt. On a
+ *               transmon this cancels leakage into the next level; the spin
+ *               here has only two levels, so the quadrature can only tilt
+ *               the rotation (β = 5 ns leaves a 200 ns π pulse at z = −0.95).
+ *               It is kept for comparison, with β = 0 (plain gaussian) by default
+ * Ω_peak is fixed by the rotation angle: θ = Ω_peak ∫ s dt = Ω_peak T A,
+ * with A the envelope's area factor.
+ * Arbitrary waveforms (e.g. from grape.js) are piecewise-constant I/Q
+ * samples; their segment boundaries are exposed as `breaks` so the
+ * integrator never steps across a jump.
+ */
+
+const PulseShapes = (() => {
+    const SHAPES = ['square', 'gaussian', 'cosine', 'sinc', 'drag'];
+    const GAUSS_SIGMAS = 3;   // half-width of the gaussian in σ
+    const SINC_LOBES = 3;
+    const edge = Math.exp(-GAUSS_SIGMAS * GAUSS_SIGMAS / 2);
+
+    // Envelope and its derivative in units of the normalized time u = t/T
+    function shapeAt(shape, u) {
+        switch (shape) {
+        case 'gaussian':
+        case 'drag': {
+            const x = (u - 0.5) * 2 * GAUSS_SIGMAS;
+            const g = Math.exp(-x * x / 2);
+            return { s: (g - edge) / (1 - edge), ds: -x * g * 2 * GAUSS_SIGMAS / (1 - edge) };
+        }
+        case 'cosine':
+            return { s: 0.5 * (1 - Math.cos(2 * Math.PI * u)), ds: Math.PI * Math.sin(2 * Math.PI * u) };
+        case 'sinc': {
+            const x = 2 * Math.PI * SINC_LOBES * (u - 0.5);
+            const k = 2 * Math.PI * SINC_LOBES;
+            if (Math.abs(x) < 1e-6) return { s: 1 - x * x / 6, ds: -k * x / 3 };
+            return { s: Math.sin(x) / x, ds: k * (x * Math.cos(x) - Math.sin(x)) / (x * x) };
+        }
+        default:
+            return { s: 1, ds: 0 };
+        }
+    }
+
+    function envelope(shape, t, duration) {
+        if (t < 0 || t > duration) return 0;
+        return shapeAt(shape, t / duration).s;
+    }
+
+    // ds/dt in 1/s
+    function derivative(shape, t, duration) {
+        if (t < 0 || t > duration) return 0;
+        return shapeAt(shape, t / duration).ds / duration;
+    }
+
+    // A = ∫₀¹ s(u) du (Simpson), cached per shape
+    const areas = {};
+    function areaFactor(shape) {
+        if (!(shape in areas)) {
+            const n = 512;
+            let sum = shapeAt(shape, 0).s + shapeAt(shape, 1).s;
+            for (let i = 1; i < n; i++) sum += (i % 2 ? 4 : 2) * shapeAt(shape, i / n).s;
+            areas[shape] = sum / (3 * n);
+        }
+        return areas[shape];
+    }
+
+    /**
+     * Drive for a pulse turning the spin by `angle` (rad) in `duration` (s);
+     * `beta` (s) scales the DRAG quadrature, an error term for this two-level
+     * spin. Returns { shape, duration, peak,
+     * at(t) → [I, Q] } with I, Q the in-phase and quadrature Rabi rates (rad/s).
+     */
+    function drive({ shape = 'square', duration, angle = Math.PI, beta = 0 }) {
+        if (!SHAPES.includes(shape)) shape = 'square';
+        const peak = angle / (duration * areaFactor(shape));
+        const quadrature = shape === 'drag' ? beta : 0;
+        const dPeak = quadrature ? Math.abs(quadrature) * peak * 2 * GAUSS_SIGMAS / duration : 0;
+        return {
+            shape, duration,
+            peak: Math.hypot(peak, dPeak),
+            at(t) {
+                if (t < 0 || t > duration) return [0, 0];
+                const { s, ds } = shapeAt(shape, t / duration);
+                return [peak * s, quadrature * peak * ds / duration];
+            }
+        };
+    }
+
+    /**
+     * Piecewise-constant drive from samples [[I, Q], …] (rad/s) spread evenly
+     * over `duration` (s); same { shape, duration, peak, at } as drive().
+     */
+    function piecewise(samples, duration) {
+        const n = samples.length;
+        return {
+            shape: 'piecewise', duration,
+            peak: Math.max(0, ...samples.map(([i, q]) => Math.hypot(i, q))),
+            breaks: Array.from({ length: n - 1 }, (_, k) => duration * (k + 1) / n),
+            at(t) {
+                if (t < 0 || t > duration || !n) return [0, 0];
+                return samples[Math.min(n - 1, Math.floor(t / duration * n))];
+            }
+        };
+    }
+
+    return { SHAPES, envelope, derivative, areaFactor, drive, piecewise };
+})();
@@ -0,0 +1,575 @@
+/**
+ * qasm.js — OpenQASM 2.0 / 3.0 Import & Export
+ *
+ * Import: parse(text, nQubits) → { ops, errors }, the same shape as
+ * CircuitParser.parse, so QASM pasted or loaded into the circuit input runs
+ * and reports errors like the native language. Supported:
+ *   - OPENQASM 2.x / 3.x headers (optional, as in OpenQASM 3),
+ *     include "qelib1.inc" / "stdgates.inc"
+ *   - qreg q[n]; creg c[n];  qubit[n] q; bit[n] c;  (registers laid out
+ *     on the lattice in declaration order)
+ *   - gates mapped onto SpinPhysics.applyGate (up to global phase):
+ *       id x y z h s t sdg tdg sx sxdg rx ry rz p phase u1 u2 u3 u U
+ *       cx CX cz swap sqrtswap
+ *   - gate definitions (inlined at each call), barrier (ignored),
+ *     measure q -> c; / c = measure q; and whole-register broadcasts
+ * Anything else (reset, if, for, classical types, ctrl @ / inv @ modifiers,
+ * opaque, def, …) is an error naming the construct. Definitions of gates
+ * listed above — such as the sqrtswap an export writes — are skipped in
+ * favour of the built-in gate.
+ *
+ * Export: toQASM(ops, version) writes circuit-panel ops or
+ * SpinPhysics.getGateLog() entries as one register q and a matching
+ * classical register c. Rn and custom U gates become u3 (2.0) / U (3.0)
+ * with angles from the ZYZ decomposition; √SWAP gets a gate definition
+ * from cx and single-qubit rotations.
+ */
+
+const Qasm = (() => {
+    const MAX_OPS = 5000;
+    const MAX_DEPTH = 16;
+    const VERSIONS = ['2.0', '3.0'];
+
+    // name → [parameter count, qubit count, params → [gate, param] | null]
+    const u3 = (theta, phi, lambda) => ['U3', [theta, phi, lambda]];
+    const GATES = {
+        id: [0, 1, () => null],
+        x: [0, 1, () => ['X']], y: [0, 1, () => ['Y']], z: [0, 1, () => ['Z']],
+        h: [0, 1, () => ['H']], s: [0, 1, () => ['S']], t: [0, 1, () => ['T']],
+        sdg: [0, 1, () => u3(0, 0, -Math.PI / 2)],
+        tdg: [0, 1, () => u3(0, 0, -Math.PI / 4)],
+        sx: [0, 1, () => ['Rx', Math.PI / 2]],
+        sxdg: [0, 1, () => ['Rx', -Math.PI / 2]],
+        rx: [1, 1, ([a]) => ['Rx', a]], ry: [1, 1, ([a]) => ['Ry', a]], rz: [1, 1, ([a]) => ['Rz', a]],
+        p: [1, 1, ([l]) => u3(0, 0, l)], phase: [1, 1, ([l]) => u3(0, 0, l)], u1: [1, 1, ([l]) => u3(0, 0, l)],
+        u2: [2, 1, ([p, l]) => u3(Math.PI / 2, p, l)],
+        u3: [3, 1, a => u3(...a)], u: [3, 1, a => u3(...a)], U: [3, 1, a => u3(...a)],
+        cx: [0, 2, () => ['CNOT']], CX: [0, 2, () => ['CNOT']],
+        cz: [0, 2, () => ['CZ']],
+        swap: [0, 2, () => ['SWAP']],
+        sqrtswap: [0, 2, () => ['SQRTSWAP']]
+    };
+    const INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+    const UNSUPPORTED = [
+        'reset', 'if', 'else', 'for', 'while', 'switch', 'break', 'continue', 'return', 'end',
+        'opaque', 'def', 'defcal', 'cal', 'defcalgrammar', 'extern', 'box', 'delay', 'gphase',
+        'ctrl', 'negctrl', 'inv', 'pow', 'input', 'output', 'const', 'let',
+        'int', 'uint', 'float', 'angle', 'bool', 'complex', 'duration', 'stretch', 'array'
+    ];
+    const CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E };
+    const FUNCTIONS = {
+        sin: Math.sin, cos: Math.cos, tan: Math.tan, exp: Math.exp, ln: Math.log, sqrt: Math.sqrt,
+        arcsin: Math.asin, arccos: Math.acos, arctan: Math.atan
+    };
+
+    // An OPENQASM header, or — since OpenQASM 3 makes the header optional — a
+    // statement declaring a register or including a library, which the
+    // circuit language has no use for
+    function isQasm(text) {
+        return /^\s*(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*OPENQASM\b/.test(text) ||
+            /(^|[;\n])\s*(qubit\s*\[|qubit\s+[A-Za-z_]|qreg\s+[A-Za-z_]|include\s*")/.test(text);
+    }
+
+    // ─── Tokenizer ────
+    const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    const NAME = /[A-Za-z_πτ][A-Za-z0-9_]*/y;
+    const STRING = /"[^"\n]*"/y;
+
+    function tokenize(text, errors) {
+        const tokens = [];
+        let pos = 0;
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (/\s/.test(ch)) {
+                pos++;
+            } else if (text.startsWith('//', pos)) {
+                while (pos < text.length && text[pos] !== '\n') pos++;
+            } else if (text.startsWith('/*', pos)) {
+                const close = text.indexOf('*/', pos + 2);
+                pos = close < 0 ? text.length : close + 2;
+            } else {
+                let type = null, m = null;
+                for (const [t, re] of [['num', NUMBER], ['name', NAME], ['str', STRING]]) {
+                    re.lastIndex = pos;
+                    if ((m = re.exec(text))) { type = t; break; }
+                }
+                const sym = ['->', '==', '!=', '<=', '>=', '&&', '||', '++', '**'].find(s => text.startsWith(s, pos)) ||
+                    ('{}()[];,=+-*/^@<>!&|%.:~'.includes(ch) ? ch : null);
+                const found = type ? m[0] : sym;
+                if (found) {
+                    tokens.push({ type: type || 'sym', text: found, start: pos, end: pos + found.length });
+                    pos += found.length;
+                } else {
+                    errors.push(CircuitParser.diagnostic(text, `unexpected character '${ch}'`, pos, pos + 1));
+                    pos++;
+                }
+            }
+        }
+        tokens.push({ type: 'end', text: '', start: text.length, end: text.length });
+        return tokens;
+    }
+
+    // ─── Parser ────
+    function parse(text, nQubits = 1) {
+        const errors = [];
+        const tokens = tokenize(text, errors);
+        const qregs = {}, cregs = {}, definitions = {};
+        const ops = [];
+        let qubitCount = 0;
+        let pos = 0;
+
+        const peek = (k = 0) => tokens[Math.min(pos + k, tokens.length - 1)];
+        const next = () => tokens[Math.min(pos++, tokens.length - 1)];
+        const isSym = (tok, s) => tok.type === 'sym' && tok.text === s;
+        const describe = tok => tok.type === 'end' ? 'end of input' : `'${tok.text}'`;
+
+        // Thrown to abandon a statement; caught at the top level
+        class QasmError extends Error {
+            constructor(message, start, end) {
+                super(message);
+                this.start = start;
+                this.end = end;
+            }
+        }
+        const fail = (message, from, to = from) => new QasmError(message, from.start, to.end);
+
+        function expect(s) {
+            const tok = next();
+            if (!isSym(tok, s)) throw fail(`expected '${s}' but found ${describe(tok)}`, tok);
+            return tok;
+        }
+
+        function expectName(what) {
+            const tok = next();
+            if (tok.type !== 'name') throw fail(`expected ${what} but found ${describe(tok)}`, tok);
+            return tok;
+        }
+
+        // Skip past the statement's ';', or past a braced block
+        function recover() {
+            let depth = 0;
+            for (;;) {
+                const tok = next();
+                if (tok.type === 'end') return;
+                if (isSym(tok, '{')) depth++;
+                if (isSym(tok, '}') && --depth <= 0) return;
+                if (isSym(tok, ';') && depth === 0) return;
+            }
+        }
+
+        // ─── Statements ────
+        function statement() {
+            const tok = peek();
+            if (tok.type !== 'name') throw fail(`expected a statement but found ${describe(tok)}`, tok);
+            switch (tok.text) {
+                case 'OPENQASM': return header();
+                case 'include': return include();
+                case 'qreg': case 'creg': return declareOld();
+                case 'qubit': case 'bit': return declareNew();
+                case 'gate': return defineGate();
+                case 'measure': return measure();
+                case 'barrier': return barrier();
+            }
+            if (UNSUPPORTED.includes(tok.text)) throw fail(`'${tok.text}' is not supported`, tok);
+            if (tok.text in cregs) return measureAssign();
+            return call({ params: {}, qubits: null }, 0);
+        }
+
+        function header() {
+            const keyword = next();
+            if (pos !== 1) throw fail('OPENQASM must be the first statement', keyword);
+            const version = next();
+            if (version.type !== 'num' || !/^[23](\.\d+)?$/.test(version.text)) {
+                throw fail(`OpenQASM ${version.text} is not supported (2.x or 3.x)`, version);
+            }
+            expect(';');
+        }
+
+        function include() {
+            next();
+            const file = next();
+            if (file.type !== 'str') throw fail(`expected a file name but found ${describe(file)}`, file);
+            const name = file.text.slice(1, -1);
+            if (!INCLUDES.includes(name)) throw fail(`cannot include ${file.text}; paste its gate definitions instead`, file);
+            expect(';');
+        }
+
+        // qreg q[4];  creg c[4];
+        function declareOld() {
+            const keyword = next();
+            const name = expectName('a register name');
+            expect('[');
+            const size = sizeOf();
+            expect(']');
+            expect(';');
+            declare(keyword.text === 'qreg', name, size);
+        }
+
+        // qubit[4] q;  bit c;
+        function declareNew() {
+            const keyword = next();
+            let size = 1;
+            if (isSym(peek(), '[')) {
+                pos++;
+                size = sizeOf();
+                expect(']');
+            }
+            const name = expectName('a register name');
+            if (isSym(peek(), '=')) throw fail('initialised declarations are not supported', peek());
+            expect(';');
+            declare(keyword.text === 'qubit', name, size);
+        }
+
+        function sizeOf() {
+            const start = peek();
+            const n = expression({});
+            if (!Number.isInteger(n) || n < 1) throw fail('register size must be a positive whole number', start, tokens[pos - 1]);
+            return n;
+        }
+
+        function declare(quantum, tok, size) {
+            if (tok.text in qregs || tok.text in cregs) throw fail(`'${tok.text}' is already declared`, tok);
+            if (!quantum) {
+                cregs[tok.text] = size;
+                return;
+            }
+            if (qubitCount + size > nQubits) {
+                throw fail(`${qubitCount + size} qubits declared; the lattice has ${nQubits}`, tok);
+            }
+            qregs[tok.text] = { offset: qubitCount, size };
+            qubitCount += size;
+        }
+
+        // gate name(a, b) q0, q1 { … }: the body is kept as a token range
+        function defineGate() {
+            next();
+            const name = expectName('a gate name');
+            const params = [];
+            if (isSym(peek(), '(')) {
+                pos++;
+                while (!isSym(peek(), ')')) {
+                    params.push(expectName('a parameter name').text);
+                    if (!isSym(peek(), ')')) expect(',');
+                }
+                pos++;
+            }
+            const qargs = [];
+            do {
+                qargs.push(expectName('a qubit argument').text);
+            } while (isSym(peek(), ',') && next());
+            expect('{');
+            const bodyStart = pos;
+            while (!isSym(peek(), '}')) {
+                if (peek().type === 'end') throw fail("unclosed '{'", name);
+                if (isSym(peek(), '{')) throw fail('nested blocks are not allowed in a gate body', peek());
+                pos++;
+            }
+            const bodyEnd = pos++;
+            if (name.text in GATES) return;
+            if (name.text in definitions) throw fail(`gate '${name.text}' is already defined`, name);
+            definitions[name.text] = { params, qargs, bodyStart, bodyEnd };
+        }
+
+        // name(params) args;  inside a gate body, env binds its parameters and qubits
+        function call(env, depth) {
+            const tok = expectName('a gate');
+            if (UNSUPPORTED.includes(tok.text)) throw fail(`'${tok.text}' is not supported`, tok);
+            const builtin = GATES[tok.text];
+            const custom = definitions[tok.text];
+            if (!builtin && !custom) {
+                throw fail(tok.text === 'measure' || tok.text === 'barrier' ?
+                    `'${tok.text}' is not allowed in a gate body` : `unknown gate '${tok.text}'`, tok);
+            }
+            const values = [];
+            if (isSym(peek(), '(')) {
+                pos++;
+                while (!isSym(peek(), ')')) {
+                    values.push(expression(env.params));
+                    if (!isSym(peek(), ')')) expect(',');
+                }
+                pos++;
+            }
+            const args = qubitArgs(env);
+            const last = expect(';');
+
+            const [nParams, nQubits] = builtin ? builtin : [custom.params.length, custom.qargs.length];
+            if (values.some(v => !Number.isFinite(v))) throw fail('parameter is not a finite number', tok, last);
+            if (values.length !== nParams) throw fail(`${tok.text} takes ${nParams} parameter${nParams === 1 ? '' : 's'}, got ${values.length}`, tok, last);
+            if (args.length !== nQubits) throw fail(`${tok.text} acts on ${nQubits} qubit${nQubits === 1 ? '' : 's'}, got ${args.length}`, tok, last);
+
+            for (const qubits of broadcast(args, tok, last)) {
+                if (builtin) {
+                    const mapped = builtin[2](values);
+                    if (mapped) emit({ gate: mapped[0], param: mapped[1], qubits }, tok);
+                } else {
+                    expand(custom, values, qubits, tok, depth);
+                }
+            }
+        }
+
+        function expand(def, values, qubits, tok, depth) {
+            if (depth >= MAX_DEPTH) throw fail('gate definitions nested too deeply', tok);
+            const env = { params: {}, qubits: {} };
+            def.params.forEach((p, k) => { env.params[p] = values[k]; });
+            def.qargs.forEach((q, k) => { env.qubits[q] = qubits[k]; });
+            const resume = pos;
+            pos = def.bodyStart;
+            try {
+                while (pos < def.bodyEnd) {
+                    if (isSym(peek(), ';')) { pos++; continue; }
+                    if (peek().text === 'barrier') {
+                        while (pos < def.bodyEnd && !isSym(next(), ';'));
+                        continue;
+                    }
+                    call(env, depth + 1);
+                }
+            } finally {
+                pos = resume;
+            }
+        }
+
+        // q[1], q (whole register) or a gate-body argument → lists of lattice qubits
+        function qubitArgs(env) {
+            const args = [];
+            if (isSym(peek(), ';')) return args;
+            for (;;) {
+                const tok = expectName('a qubit');
+                if (env.qubits) {
+                    if (!(tok.text in env.qubits)) throw fail(`'${tok.text}' is not an argument of this gate`, tok);
+                    args.push({ qubits: [env.qubits[tok.text]], tok });
+                } else {
+                    const reg = qregs[tok.text];
+                    if (!reg) throw fail(`unknown qubit register '${tok.text}'`, tok);
+                    if (isSym(peek(), '[')) {
+                        pos++;
+                        const start = peek();
+                        const i = expression({});
+                        const close = expect(']');
+                        if (!Number.isInteger(i) || i < 0 || i >= reg.size) {
+                            throw fail(`index ${i} is outside ${tok.text}[0…${reg.size - 1}]`, start, close);
+                        }
+                        args.push({ qubits: [reg.offset + i], tok });
+                    } else {
+                        args.push({ qubits: Array.from({ length: reg.size }, (_, i) => reg.offset + i), tok });
+                    }
+                }
+                if (!isSym(peek(), ',')) return args;
+                pos++;
+            }
+        }
+
+        // Whole registers apply the gate element by element
+        function broadcast(args, from, to) {
+            const n = Math.max(1, ...args.map(a => a.qubits.length));
+            const bad = args.find(a => a.qubits.length !== 1 && a.qubits.length !== n);
+            if (bad) throw fail('registers of different sizes', bad.tok);
+            return Array.from({ length: n }, (_, k) => {
+                const qubits = args.map(a => a.qubits[a.qubits.length === 1 ? 0 : k]);
+                if (new Set(qubits).size !== qubits.length) throw fail('a qubit appears twice in one gate', from, to);
+                return qubits;
+            });
+        }
+
+        function emit(op, tok) {
+            if (ops.length >= MAX_OPS) throw fail(`circuit longer than ${MAX_OPS} operations`, tok);
+            ops.push(op);
+        }
+
+        // measure q[0] -> c[0];  measure q;
+        function measure() {
+            const keyword = next();
+            const args = qubitArgs({ params: {}, qubits: null });
+            if (args.length !== 1) throw fail('measure takes one qubit or register', keyword);
+            let bits = null;
+            if (isSym(peek(), '->')) {
+                pos++;
+                bits = classicalArg();
+            }
+            expect(';');
+            measureInto(args[0], bits, keyword);
+        }
+
+        // c[0] = measure q[0];
+        function measureAssign() {
+            const bits = classicalArg();
+            expect('=');
+            const keyword = next();
+            if (keyword.text !== 'measure') throw fail('classical assignments other than measure are not supported', keyword);
+            const args = qubitArgs({ params: {}, qubits: null });
+            if (args.length !== 1) throw fail('measure takes one qubit or register', keyword);
+            expect(';');
+            measureInto(args[0], bits, keyword);
+        }
+
+        function classicalArg() {
+            const tok = expectName('a classical register');
+            if (!(tok.text in cregs)) throw fail(`unknown classical register '${tok.text}'`, tok);
+            let size = cregs[tok.text];
+            if (isSym(peek(), '[')) {
+                pos++;
+                const i = expression({});
+                expect(']');
+                if (!Number.isInteger(i) || i < 0 || i >= size) throw fail(`index ${i} is outside ${tok.text}[0…${size - 1}]`, tok);
+                size = 1;
+            }
+            return { size, tok };
+        }
+
+        function measureInto(arg, bits, keyword) {
+            if (bits && bits.size !== arg.qubits.length) throw fail('qubit and bit registers differ in size', bits.tok);
+            for (const q of arg.qubits) emit({ gate: 'MEASURE', qubits: [q] }, keyword);
+        }
+
+        function barrier() {
+            next();
+            if (!isSym(peek(), ';')) qubitArgs({ params: {}, qubits: null });
+            expect(';');
+        }
+
+        // ─── Expressions ────
+        function expression(params) {
+            let x = term(params);
+            while (isSym(peek(), '+') || isSym(peek(), '-')) x = next().text === '+' ? x + term(params) : x - term(params);
+            return x;
+        }
+
+        function term(params) {
+            let x = unary(params);
+            for (;;) {
+                if (isSym(peek(), '*')) {
+                    pos++;
+                    x *= unary(params);
+                } else if (isSym(peek(), '/')) {
+                    const tok = next();
+                    const d = unary(params);
+                    if (d === 0) throw fail('division by zero', tok, tokens[pos - 1]);
+                    x /= d;
+                } else {
+                    return x;
+                }
+            }
+        }
+
+        function unary(params) {
+            if (isSym(peek(), '-')) { pos++; return -unary(params); }
+            if (isSym(peek(), '+')) { pos++; return unary(params); }
+            const base = primary(params);
+            if (isSym(peek(), '^') || isSym(peek(), '**')) {
+                pos++;
+                return Math.pow(base, unary(params));
+            }
+            return base;
+        }
+
+        function primary(params) {
+            const tok = next();
+            if (tok.type === 'num') return parseFloat(tok.text);
+            if (isSym(tok, '(')) {
+                const x = expression(params);
+                expect(')');
+                return x;
+            }
+            if (tok.type === 'name') {
+                if (tok.text in FUNCTIONS && isSym(peek(), '(')) {
+                    pos++;
+                    const x = FUNCTIONS[tok.text](expression(params));
+                    expect(')');
+                    if (!Number.isFinite(x)) throw fail(`${tok.text}: argument out of range`, tok, tokens[pos - 1]);
+                    return x;
+                }
+                if (tok.text in params) return params[tok.text];
+                if (tok.text in CONSTANTS) return CONSTANTS[tok.text];
+                throw fail(`unknown name '${tok.text}'`, tok);
+            }
+            throw fail(`expected a number but found ${describe(tok)}`, tok);
+        }
+
+        while (peek().type !== 'end') {
+            const start = pos;
+            try {
+                statement();
+            } catch (e) {
+                if (!(e instanceof QasmError)) throw e;
+                // A gate body's error repeats at every call; report it once
+                if (!errors.some(d => d.start === e.start && d.message === e.message)) {
+                    errors.push(CircuitParser.diagnostic(text, e.message, e.start, e.end));
+                }
+                // Errors found after the ';' leave nothing to skip
+                if (pos === start || !isSym(tokens[pos - 1], ';')) recover();
+            }
+        }
+        errors.sort((a, b) => a.start - b.start);
+        return { ops, errors };
+    }
+
+    // ─── Export ────
+    const { formatAngle } = CircuitParser;
+
+    // (θ, φ, λ) with M = e^{iα} U3(θ, φ, λ)
+    function u3Angles(M) {
+        const arg = z => Math.atan2(z.im, z.re);
+        const wrap = a => Math.atan2(Math.sin(a), Math.cos(a));
+        const a = Math.hypot(M[0][0].re, M[0][0].im), b = Math.hypot(M[1][0].re, M[1][0].im);
+        const theta = 2 * Math.atan2(b, a);
+        if (b < 1e-12) return [0, 0, wrap(arg(M[1][1]) - arg(M[0][0]))];
+        const alpha = a < 1e-12 ? arg(M[1][0]) : arg(M[0][0]);
+        const minusB = { re: -M[0][1].re, im: -M[0][1].im };
+        return [theta, wrap(arg(M[1][0]) - alpha), wrap(arg(minusB) - alpha)];
+    }
+
+    // exp(−iπ/8 (XX + YY + ZZ)) = √SWAP up to global phase, each term as cx·rz·cx
+    const SQRTSWAP_DEFINITION = [
+        'gate sqrtswap a, b {',
+        '  cx a, b; rz(pi/4) b; cx a, b;',
+        '  h a; h b; cx a, b; rz(pi/4) b; cx a, b; h a; h b;',
+        '  rx(pi/2) a; rx(pi/2) b; cx a, b; rz(pi/4) b; cx a, b; rx(-pi/2) a; rx(-pi/2) b;',
+        '}'
+    ];
+
+    /**
+     * OpenQASM source for circuit-panel ops or gate-log entries
+     * ({ gate, param, qubits }), on a register sized to the qubits they use.
+     */
+    function toQASM(ops, version = '2.0') {
+        const v3 = version === '3.0';
+        let n = 1;
+        for (const op of ops) n = Math.max(n, ...op.qubits.map(q => q + 1));
+        const lines = v3 ?
+            ['OPENQASM 3.0;', 'include "stdgates.inc";'] :
+            ['OPENQASM 2.0;', 'include "qelib1.inc";'];
+        if (ops.some(op => op.gate === 'SQRTSWAP')) lines.push(...SQRTSWAP_DEFINITION);
+        lines.push(v3 ? `qubit[${n}] q;` : `qreg q[${n}];`, v3 ? `bit[${n}] c;` : `creg c[${n}];`);
+
+        const q = i => `q[${i}]`;
+        const general = angles => `${v3 ? 'U' : 'u3'}(${angles.map(formatAngle).join(', ')})`;
+        for (const op of ops) {
+            const param = op.param === null ? undefined : op.param;
+            const [a, b] = op.qubits;
+            switch (op.gate) {
+                case 'MEASURE': lines.push(v3 ? `c[${a}] = measure ${q(a)};` : `measure ${q(a)} -> c[${a}];`); break;
+                case 'X': case 'Y': case 'Z': case 'H': case 'S': case 'T':
+                    lines.push(`${op.gate.toLowerCase()} ${q(a)};`);
+                    break;
+                case 'Rx': case 'Ry': case 'Rz':
+                    // applyGate's default angle is π/2
+                    lines.push(`${op.gate.toLowerCase()}(${formatAngle(param === undefined ? Math.PI / 2 : param)}) ${q(a)};`);
+                    break;
+                case 'U3': lines.push(`${general(param)} ${q(a)};`); break;
+                case 'Rn': {
+                    const [theta, nx, ny, nz] = param;
+                    lines.push(`${general(u3Angles(QubitMath.rotation(nx, ny, nz, theta)))} ${q(a)};`);
+                    break;
+                }
+                case 'U': lines.push(`${general(u3Angles(param))} ${q(a)};`); break;
+                case 'CNOT': lines.push(`cx ${q(a)}, ${q(b)};`); break;
+                case 'CZ': lines.push(`cz ${q(a)}, ${q(b)};`); break;
+                case 'SWAP': lines.push(`swap ${q(a)}, ${q(b)};`); break;
+                case 'SQRTSWAP': lines.push(`sqrtswap ${q(a)}, ${q(b)};`); break;
+                default: lines.push(`// ${op.gate} has no OpenQASM equivalent`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { VERSIONS, isQasm, parse, toQASM, u3Angles };
+})();
@@ -3,10 +3,24 @@
  *
  * Provides input/output for quantum gate operations:
  *   - Gate sequence input (click buttons or type circuit)
- *   - State vector output (amplitudes, probabilities, Bloch angles)
+ *     e.g. "H q0; CNOT q0 q1; MEASURE q1" — bare tokens act on q0; the
+ *     language (expressions, comments, repeat, let) is in circuitParser.js,
+ *     and its errors are underlined in the input and listed below it
+ *   - OpenQASM 2.0/3.0 (qasm.js): loaded or pasted into the circuit input,
+ *     and exported from the circuit diagram or SpinPhysics' gate log
+ *   - Arbitrary single-qubit gates: U3(θ,φ,λ), RN(θ,nx,ny,nz) and custom
+ *     matrices U(a,b,c,d) = [[a, b], [c, d]] with complex entries like 0.5-0.5i
+ *   - Density-matrix output (ρ elements, probabilities, purity, Bloch vector)
+ *   - Register amplitudes for multi-qubit circuits
  *   - Measurement with wavefunction collapse
+ *   - Multi-shot runs: outcome histogram with binomial error bars vs ideal
+ *   - Gate noise model editor (per-gate error rates, optional T1/T2-derived)
  *   - Gate operation history log
- *   - Circuit diagram display
+ *   - Multi-wire circuit diagram, editable: palette gates drag onto a wire,
+ *     placed gates drag to a new column / wire or onto the bin, and a click
+ *     opens the gate as a statement to edit; every change is undoable.
+ *     Buttons append to the live state; any other edit re-simulates the
+ *     circuit from |0⟩ (measurements are drawn again)
  */
 
 const QuantumComputing = (() => {
@@ -14,32 +28,111 @@ const QuantumComputing = (() => {
     let circuitDisplay;
     let stateOutput;
     let historyLog;
+    let targetSelect;
+    let controlSelect;
+    let shotsInput;
+    let histogram;
+    let circuitInput;
+    let circuitMarks;
+    let circuitErrors;
+    let gateEditor;
+    let gateEditInput;
+    let gateEditErrors;
+    let undoBtn;
+    let redoBtn;
     let isVisible = false;
 
+    // Ops shown in the diagram: { gate, param, qubits: [target] | [control, target] }
+    const circuit = [];
+
+    // Edit history: snapshots of `circuit` taken before each edit
+    const MAX_HISTORY = 100;
+    const undoStack = [];
+    const redoStack = [];
+    let selected = -1;       // index of the op open in the gate editor
+    let dragging = null;     // { gate, param } from the palette or { index, wire } from the diagram
+    let pendingRun = [];     // { timer, step } of an animated run, in order
+
     function init() {
         panel = document.getElementById('qc-panel');
         circuitDisplay = document.getElementById('qc-circuit');
         stateOutput = document.getElementById('qc-state-output');
         historyLog = document.getElementById('qc-history');
+        targetSelect = document.getElementById('qc-target');
+        controlSelect = document.getElementById('qc-control');
+        shotsInput = document.getElementById('qc-shots');
+        histogram = document.getElementById('qc-histogram');
+        circuitInput = document.getElementById('qc-circuit-input');
+        circuitMarks = document.getElementById('qc-circuit-marks');
+        circuitErrors = document.getElementById('qc-circuit-errors');
+        gateEditor = document.getElementById('qc-gate-editor');
+        gateEditInput = document.getElementById('qc-gate-edit-input');
+        gateEditErrors = document.getElementById('qc-gate-edit-errors');
+        undoBtn = document.getElementById('qc-undo-btn');
+        redoBtn = document.getElementById('qc-redo-btn');
 
         if (!panel) return;
 
+        // Qubit selectors follow the lattice register size
+        refreshQubitSelectors();
+        [targetSelect, controlSelect].forEach(sel => {
+            if (sel) sel.addEventListener('focus', refreshQubitSelectors);
+        });
+
         // Wire gate buttons
         document.querySelectorAll('.qc-gate-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 const gate = btn.getAttribute('data-gate');
                 const param = btn.getAttribute('data-param');
-                applyGate(gate, param ? parseFloat(param) : undefined);
+                const target = targetSelect ? parseInt(targetSelect.value) : 0;
+                if (SpinPhysics.TWO_QUBIT_GATES.includes(gate)) {
+                    const control = controlSelect ? parseInt(controlSelect.value) : 1;
+                    if (control === target) {
+                        addToHistory(`${gate}: control and target must differ`, '#ea4335');
+                        return;
+                    }
+                    recordEdit();
+                    applyGate(gate, undefined, [control, target]);
+                } else {
+                    recordEdit();
+                    applyGate(gate, param ? parseFloat(param) : undefined, [target]);
+                }
             });
         });
 
+        // Custom single-qubit gate (U3 / Rn / matrix) on the target qubit
+        const customInput = document.getElementById('qc-custom-gate');
+        const customBtn = document.getElementById('qc-custom-apply');
+        if (customInput && customBtn) {
+            const applyCustom = () => {
+                const text = customInput.value.trim();
+                if (!text) return;
+                const target = targetSelect ? parseInt(targetSelect.value) : 0;
+                const { ops, errors } = CircuitParser.parse(text, Math.max(1, QuantumRegister.getQubitCount()));
+                if (errors.length) {
+                    errors.forEach(e => addToHistory(e.message, '#ea4335'));
+                    return;
+                }
+                // Qubits written in the box win; bare gates go to the target
+                const tokens = CircuitParser.tokenize(text);
+                const namesQubit = tokens.some((t, k) => t.type === 'name' &&
+                    (/^q\d+$/i.test(t.text) || (/^q$/i.test(t.text) && tokens[k + 1].text === '[')));
+                if (ops.some(op => op.gate !== 'MEASURE')) recordEdit();
+                for (const op of ops) {
+                    if (op.gate === 'MEASURE') continue;
+                    applyGate(op.gate, op.param, op.qubits.length === 1 && !namesQubit ? [target] : op.qubits);
+                }
+            };
+            customBtn.addEventListener('click', applyCustom);
+            customInput.addEventListener('keydown', e => { if (e.key === 'Enter') applyCustom(); });
+        }
+
         // Measure button
         const measureBtn = document.getElementById('qc-measure-btn');
         if (measureBtn) {
             measureBtn.addEventListener('click', () => {
-                const result = SpinPhysics.measure();
-                addToHistory(`MEASURE → |${result}⟩`, result === 0 ? '#1a73e8' : '#ea4335');
-                updateDisplay();
+                recordEdit();
+                measureQubit(targetSelect ? parseInt(targetSelect.value) : 0);
             });
         }
 
@@ -47,10 +140,8 @@ const QuantumComputing = (() => {
         const resetBtn = document.getElementById('qc-reset-btn');
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
-                SpinPhysics.reset();
-                SpinPhysics.clearGateLog();
-                if (circuitDisplay) circuitDisplay.innerHTML = '<span class="qc-wire-label">|0⟩ ──</span>';
-                if (historyLog) historyLog.innerHTML = '';
+                if (circuit.length) recordEdit();
+                resetCircuit();
                 updateDisplay();
             });
         }
@@ -60,33 +151,477 @@ const QuantumComputing = (() => {
         if (runBtn) {
             runBtn.addEventListener('click', runCircuit);
         }
+        wireCircuitEditor();
+        wireQasm();
+        wireComposer();
+
+        wireNoisePanel();
+        renderCircuit();
     }
 
-    function applyGate(gateName, param) {
-        SpinPhysics.applyGate(gateName, param);
+    // ─── Noise Model Panel ────
+    function wireNoisePanel() {
+        const toggle = document.getElementById('qc-noise-toggle');
+        const body = document.getElementById('qc-noise-body');
+        const auto = document.getElementById('qc-noise-auto');
+        const gateSelect = document.getElementById('qc-noise-gate');
+        const t1q = document.getElementById('qc-noise-t1q');
+        const t2q = document.getElementById('qc-noise-t2q');
+        const inputs = document.querySelectorAll('.qc-noise-input[data-key]');
+        if (!toggle || !gateSelect) return;
+
+        gateSelect.innerHTML = '<option value="ALL">all gates</option>' +
+            NoiseModel.GATE_TYPES.map(g => `<option value="${g}">${g === 'SQRTSWAP' ? '√SWAP' : g}</option>`).join('');
+
+        // Show the selected gate's rates; derived ones are read-only
+        const refresh = () => {
+            const gate = gateSelect.value === 'ALL' ? NoiseModel.GATE_TYPES[0] : gateSelect.value;
+            const p = NoiseModel.getParams(gate);
+            inputs.forEach(input => {
+                const key = input.dataset.key;
+                const derived = NoiseModel.isFromDecoherence() && (key === 'damping' || key === 'dephasing');
+                input.disabled = derived;
+                if (document.activeElement !== input) input.value = +(p[key] * 100).toPrecision(4);
+            });
+        };
+
+        toggle.addEventListener('click', () => {
+            toggle.classList.toggle('active');
+            NoiseModel.setEnabled(toggle.classList.contains('active'));
+            if (body) body.style.display = NoiseModel.isEnabled() ? 'block' : 'none';
+            refresh();
+        });
+        if (auto) {
+            auto.addEventListener('click', () => {
+                auto.classList.toggle('active');
+                NoiseModel.setFromDecoherence(auto.classList.contains('active'));
+                refresh();
+            });
+        }
+        [[t1q, 'single'], [t2q, 'two']].forEach(([input, kind]) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                NoiseModel.setGateTime(kind, (parseFloat(input.value) || 0) * 1e-9);
+                refresh();
+            });
+        });
+        gateSelect.addEventListener('change', refresh);
+        inputs.forEach(input => {
+            input.addEventListener('change', () => {
+                NoiseModel.setParam(gateSelect.value, input.dataset.key, parseFloat(input.value) / 100);
+                refresh();
+            });
+        });
+        // T1/T2 move with the temperature and field sliders
+        if (body) body.addEventListener('pointerenter', refresh);
+        refresh();
+    }
 
-        // Update circuit diagram
-        if (circuitDisplay) {
-            const gateEl = document.createElement('span');
-            gateEl.className = 'qc-gate-block';
-            gateEl.textContent = param ? `${gateName}(${(param / Math.PI).toFixed(1)}π)` : gateName;
-            circuitDisplay.appendChild(gateEl);
+    function refreshQubitSelectors() {
+        const n = Math.max(1, QuantumRegister.getQubitCount());
+        [targetSelect, controlSelect].forEach((sel, k) => {
+            if (!sel) return;
+            const prev = sel.value;
+            sel.innerHTML = '';
+            for (let q = 0; q < n; q++) {
+                const opt = document.createElement('option');
+                opt.value = q;
+                opt.textContent = 'q' + q;
+                sel.appendChild(opt);
+            }
+            sel.value = prev !== '' && parseInt(prev) < n ? prev : String(Math.min(k === 0 ? 0 : 1, n - 1));
+        });
+    }
 
-            const wire = document.createElement('span');
-            wire.className = 'qc-wire';
-            wire.textContent = '──';
-            circuitDisplay.appendChild(wire);
+    function formatGate(gateName, param) {
+        if (param === undefined || param === null) return gateName;
+        const pi = x => `${(x / Math.PI).toFixed(2)}π`;
+        switch (gateName) {
+            case 'U3': return `U3(${param.map(pi).join(',')})`;
+            case 'Rn': {
+                const [theta, nx, ny, nz] = param;
+                const len = Math.hypot(nx, ny, nz);
+                return `Rn(${pi(theta)};${[nx, ny, nz].map(v => +(v / len).toFixed(2)).join(',')})`;
+            }
+            case 'U': return 'U';
+            default: return `${gateName}(${pi(param)})`;
         }
+    }
+
+    function applyGate(gateName, param, qubits = [0]) {
+        if (qubits.length === 2) SpinPhysics.applyGate(gateName, param, qubits[1], qubits[0]);
+        else SpinPhysics.applyGate(gateName, param, qubits[0]);
 
-        addToHistory(`${gateName}${param ? '(' + (param / Math.PI).toFixed(2) + 'π)' : ''}`, '#1a73e8');
+        circuit.push({ gate: gateName, param, qubits });
+        renderCircuit();
+
+        addToHistory(`${formatGate(gateName, param)} ${qubits.map(q => 'q' + q).join(',')}`, '#1a73e8');
+        updateDisplay();
+    }
+
+    function measureQubit(q) {
+        const result = SpinPhysics.measure(q);
+        circuit.push({ gate: 'MEASURE', qubits: [q] });
+        renderCircuit();
+        addToHistory(`MEASURE q${q} → |${result}⟩`, result === 0 ? '#1a73e8' : '#ea4335');
         updateDisplay();
     }
 
+    function resetCircuit() {
+        cancelRun();
+        SpinPhysics.reset();
+        SpinPhysics.clearGateLog();
+        circuit.length = 0;
+        closeGateEditor();
+        renderCircuit();
+        if (historyLog) historyLog.innerHTML = '';
+    }
+
+    // ─── Circuit Diagram ────
+    function renderCircuit() {
+        if (!circuitDisplay) return;
+        let wires = 1;
+        for (const op of circuit) wires = Math.max(wires, ...op.qubits.map(q => q + 1));
+        // One spare lattice wire to drop gates onto
+        wires = Math.max(wires, Math.min(wires + 1, QuantumRegister.getQubitCount()));
+
+        const grid = document.createElement('div');
+        grid.className = 'qc-circuit-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${circuit.length + 1}, minmax(36px, auto))`;
+
+        for (let w = 0; w < wires; w++) {
+            const label = document.createElement('span');
+            label.className = 'qc-wire-label';
+            label.textContent = `q${w} |0⟩`;
+            grid.appendChild(label);
+
+            circuit.forEach((op, k) => grid.appendChild(renderCell(op, w, k)));
+
+            // Trailing wire, where dropped gates append
+            const tail = document.createElement('span');
+            tail.className = 'qc-cell';
+            tail.dataset.wire = w;
+            tail.dataset.col = circuit.length;
+            grid.appendChild(tail);
+        }
+
+        circuitDisplay.innerHTML = '';
+        circuitDisplay.appendChild(grid);
+    }
+
+    function renderCell(op, wire, index) {
+        const cell = document.createElement('span');
+        cell.className = 'qc-cell';
+        cell.dataset.wire = wire;
+        cell.dataset.col = index;
+        const lo = Math.min(...op.qubits), hi = Math.max(...op.qubits);
+
+        // Vertical link for two-qubit gates
+        if (op.qubits.length === 2 && wire >= lo && wire <= hi) {
+            if (wire > lo) cell.classList.add('link-up');
+            if (wire < hi) cell.classList.add('link-down');
+        }
+
+        const [first, second] = op.qubits;
+        let mark = null;
+        if (op.qubits.length === 1 && wire === first) {
+            mark = document.createElement('span');
+            mark.className = op.gate === 'MEASURE' ? 'qc-gate-block qc-meas' : 'qc-gate-block';
+            mark.textContent = op.gate === 'MEASURE' ? 'M' : formatGate(op.gate, op.param);
+        } else if (op.qubits.length === 2 && (wire === first || wire === second)) {
+            mark = document.createElement('span');
+            if (op.gate === 'SWAP') {
+                mark.className = 'qc-swap';
+                mark.textContent = '×';
+            } else if (op.gate === 'SQRTSWAP') {
+                mark.className = 'qc-gate-block';
+                mark.textContent = '√SW';
+            } else if (wire === first || op.gate === 'CZ') {
+                mark.className = 'qc-ctrl';
+            } else {
+                mark.className = 'qc-targ';
+                mark.textContent = '⊕';
+            }
+        }
+        if (mark) {
+            mark.dataset.index = index;
+            mark.draggable = true;
+            mark.title = CircuitParser.format(op) + ' — drag to move, click to edit';
+            if (index === selected) mark.classList.add('qc-selected');
+            cell.appendChild(mark);
+        }
+        return cell;
+    }
+
+    // ─── Composer ────
+    function wireComposer() {
+        if (!circuitDisplay) return;
+        document.querySelectorAll('.qc-gate-btn').forEach(btn => {
+            btn.draggable = true;
+            btn.addEventListener('dragstart', e => {
+                const param = btn.getAttribute('data-param');
+                startDrag(e, { gate: btn.getAttribute('data-gate'), param: param ? parseFloat(param) : undefined }, btn.textContent);
+            });
+        });
+        circuitDisplay.addEventListener('dragstart', e => {
+            const mark = e.target.closest('[data-index]');
+            if (!mark) return;
+            const index = parseInt(mark.dataset.index);
+            startDrag(e, { index, wire: parseInt(mark.parentElement.dataset.wire) }, CircuitParser.format(circuit[index]));
+        });
+        circuitDisplay.addEventListener('dragover', e => {
+            const cell = e.target.closest('.qc-cell');
+            if (!cell || !dragging) return;
+            e.preventDefault();
+            showDropTarget(cell);
+        });
+        circuitDisplay.addEventListener('dragleave', e => {
+            if (!circuitDisplay.contains(e.relatedTarget)) showDropTarget(null);
+        });
+        circuitDisplay.addEventListener('drop', e => {
+            const cell = e.target.closest('.qc-cell');
+            if (!cell || !dragging) return;
+            e.preventDefault();
+            dropAt(parseInt(cell.dataset.col), parseInt(cell.dataset.wire));
+        });
+        document.addEventListener('dragend', () => {
+            dragging = null;
+            showDropTarget(null);
+            if (panel) panel.classList.remove('qc-dragging');
+        });
+        circuitDisplay.addEventListener('click', e => {
+            const mark = e.target.closest('[data-index]');
+            if (mark) openGateEditor(parseInt(mark.dataset.index));
+        });
+
+        // Bin: placed gates dropped here are deleted
+        const trash = document.getElementById('qc-trash');
+        if (trash) {
+            trash.addEventListener('dragover', e => {
+                if (dragging && dragging.index !== undefined) e.preventDefault();
+            });
+            trash.addEventListener('drop', e => {
+                if (!dragging || dragging.index === undefined) return;
+                e.preventDefault();
+                deleteOp(dragging.index);
+            });
+        }
+
+        if (undoBtn) undoBtn.addEventListener('click', undo);
+        if (redoBtn) redoBtn.addEventListener('click', redo);
+        document.addEventListener('keydown', e => {
+            // Only while the panel is on screen, and not while typing
+            if (!panel.offsetParent || e.target.closest('input, textarea, select')) return;
+            const mod = e.ctrlKey || e.metaKey;
+            if (mod && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) redo(); else undo();
+            } else if (mod && e.key.toLowerCase() === 'y') {
+                e.preventDefault();
+                redo();
+            } else if ((e.key === 'Delete' || e.key === 'Backspace') && selected >= 0) {
+                e.preventDefault();
+                deleteOp(selected);
+            } else if (e.key === 'Escape') {
+                closeGateEditor();
+            }
+        });
+
+        if (gateEditor) {
+            const applyBtn = document.getElementById('qc-gate-edit-apply');
+            const deleteBtn = document.getElementById('qc-gate-edit-delete');
+            if (applyBtn) applyBtn.addEventListener('click', applyGateEdit);
+            if (deleteBtn) deleteBtn.addEventListener('click', () => { if (selected >= 0) deleteOp(selected); });
+            gateEditInput.addEventListener('keydown', e => {
+                if (e.key === 'Enter') applyGateEdit();
+                else if (e.key === 'Escape') closeGateEditor();
+            });
+        }
+        updateHistoryButtons();
+    }
+
+    function startDrag(e, payload, label) {
+        dragging = payload;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', label);
+        if (panel) panel.classList.add('qc-dragging');
+    }
+
+    // Insertion line before the hovered column, and the hovered wire
+    function showDropTarget(cell) {
+        circuitDisplay.querySelectorAll('.qc-drop-col, .qc-drop-wire').forEach(c => c.classList.remove('qc-drop-col', 'qc-drop-wire'));
+        if (!cell) return;
+        circuitDisplay.querySelectorAll(`.qc-cell[data-col="${cell.dataset.col}"]`).forEach(c => c.classList.add('qc-drop-col'));
+        cell.classList.add('qc-drop-wire');
+    }
+
+    // Insert the dragged gate before column `col`, on wire `wire`
+    function dropAt(col, wire) {
+        // A drop on the trailing column still appends once the run has finished
+        if (col >= circuit.length) col = Infinity;
+        finishRun();
+        col = Math.min(col, circuit.length);
+
+        const n = Math.max(1, QuantumRegister.getQubitCount());
+        const ops = getCircuit();
+        let op;
+        if (dragging.index !== undefined) {
+            op = ops.splice(dragging.index, 1)[0];
+            if (dragging.index < col) col--;
+            // Shift every wire of the op by the same amount
+            const moved = op.qubits.map(q => q + wire - dragging.wire);
+            const outside = moved.find(q => q < 0 || q >= n);
+            if (outside !== undefined) {
+                addToHistory(`Cannot move ${op.gate} there: q${outside} is not in the lattice`, '#ea4335');
+                return;
+            }
+            op.qubits = moved;
+        } else if (SpinPhysics.TWO_QUBIT_GATES.includes(dragging.gate)) {
+            if (n < 2) {
+                addToHistory(`${dragging.gate} needs two qubits in the lattice`, '#ea4335');
+                return;
+            }
+            op = { gate: dragging.gate, param: undefined, qubits: [wire, wire + 1 < n ? wire + 1 : wire - 1] };
+        } else {
+            op = dragging.gate === 'MEASURE' ? { gate: 'MEASURE', qubits: [wire] } :
+                { gate: dragging.gate, param: dragging.param, qubits: [wire] };
+        }
+        ops.splice(col, 0, op);
+        if (JSON.stringify(ops) !== JSON.stringify(circuit)) edit(ops);
+    }
+
+    function deleteOp(index) {
+        finishRun();
+        const ops = getCircuit();
+        ops.splice(index, 1);
+        edit(ops);
+    }
+
+    // ─── Gate Editor ────
+    // The op as a statement in the circuit language, replaced on Apply
+    function openGateEditor(index) {
+        if (!gateEditor || !circuit[index]) return;
+        selected = index;
+        gateEditor.hidden = false;
+        gateEditInput.value = CircuitParser.format(circuit[index]);
+        if (gateEditErrors) gateEditErrors.innerHTML = '';
+        gateEditInput.focus();
+        gateEditInput.select();
+        renderCircuit();
+    }
+
+    function closeGateEditor() {
+        if (selected < 0) return;
+        selected = -1;
+        if (gateEditor) gateEditor.hidden = true;
+        renderCircuit();
+    }
+
+    // An empty statement deletes the op; several ops replace it in order
+    function applyGateEdit() {
+        if (selected < 0) return;
+        const { ops: replacement, errors } = CircuitParser.parse(gateEditInput.value, Math.max(1, QuantumRegister.getQubitCount()));
+        if (errors.length) {
+            if (gateEditErrors) {
+                gateEditErrors.innerHTML = errors.map(e => `<div>${e.col}: ${escapeHtml(e.message)}</div>`).join('');
+            }
+            return;
+        }
+        finishRun();
+        const ops = getCircuit();
+        ops.splice(selected, 1, ...replacement);
+        edit(ops);
+    }
+
+    // ─── Edit History ────
+    // Edits and undo/redo act on the whole circuit, so an animated run still
+    // in progress is played out first rather than cut short
+    function recordEdit() {
+        finishRun();
+        undoStack.push(getCircuit());
+        if (undoStack.length > MAX_HISTORY) undoStack.shift();
+        redoStack.length = 0;
+        updateHistoryButtons();
+    }
+
+    // Replace the circuit with `ops` as one undoable edit
+    function edit(ops) {
+        recordEdit();
+        setCircuit(ops);
+    }
+
+    function undo() {
+        if (!undoStack.length) return;
+        finishRun();
+        redoStack.push(getCircuit());
+        setCircuit(undoStack.pop());
+        updateHistoryButtons();
+    }
+
+    function redo() {
+        if (!redoStack.length) return;
+        finishRun();
+        undoStack.push(getCircuit());
+        setCircuit(redoStack.pop());
+        updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+        if (undoBtn) undoBtn.disabled = !undoStack.length;
+        if (redoBtn) redoBtn.disabled = !redoStack.length;
+    }
+
+    // Re-simulate `ops` from |0⟩ on the live register
+    function setCircuit(ops) {
+        SpinPhysics.reset();
+        SpinPhysics.clearGateLog();
+        circuit.length = 0;
+        circuit.push(...ops);
+        selected = -1;
+        if (gateEditor) gateEditor.hidden = true;
+
+        const outcomes = [];
+        for (const op of circuit) {
+            if (op.gate === 'MEASURE') outcomes.push(`q${op.qubits[0]}→${SpinPhysics.measure(op.qubits[0])}`);
+            else if (op.qubits.length === 2) SpinPhysics.applyGate(op.gate, op.param, op.qubits[1], op.qubits[0]);
+            else SpinPhysics.applyGate(op.gate, op.param, op.qubits[0]);
+        }
+        renderCircuit();
+        addToHistory(`Re-simulated ${circuit.length} op${circuit.length === 1 ? '' : 's'} from |0⟩` +
+            (outcomes.length ? ` (${outcomes.join(', ')})` : ''), '#34a853');
+        updateDisplay();
+    }
+
+    // Queue one op of an animated run `delay` ms from now
+    function scheduleStep(step, delay) {
+        const entry = { step };
+        entry.timer = setTimeout(() => {
+            pendingRun.splice(pendingRun.indexOf(entry), 1);
+            step();
+        }, delay);
+        pendingRun.push(entry);
+    }
+
+    // Apply the rest of an animated run at once
+    function finishRun() {
+        const rest = pendingRun;
+        pendingRun = [];
+        for (const { timer, step } of rest) {
+            clearTimeout(timer);
+            step();
+        }
+    }
+
+    function cancelRun() {
+        pendingRun.forEach(entry => clearTimeout(entry.timer));
+        pendingRun = [];
+    }
+
     function addToHistory(text, color) {
         if (!historyLog) return;
         const entry = document.createElement('div');
         entry.className = 'qc-log-entry';
-        entry.innerHTML = `<span style="color:${color}">●</span> ${text} → P(|1⟩) = ${(SpinPhysics.getP1() * 100).toFixed(1)}%`;
+        entry.innerHTML = `<span style="color:${color}">●</span> ${escapeHtml(text)} → P(|1⟩) = ${(SpinPhysics.getP1() * 100).toFixed(1)}%`;
         historyLog.prepend(entry);
 
         // Keep only last 20 entries
@@ -95,21 +630,54 @@ const QuantumComputing = (() => {
         }
     }
 
+    // Largest register amplitudes, labelled over the diagram's wires
+    function registerRows(maxRows) {
+        const sv = QuantumRegister.getState();
+        let wires = 1;
+        for (const op of circuit) wires = Math.max(wires, ...op.qubits.map(q => q + 1));
+        wires = Math.min(wires, sv.n);
+
+        const amps = [];
+        for (let k = 0; k < sv.re.length; k++) {
+            const p = sv.re[k] * sv.re[k] + sv.im[k] * sv.im[k];
+            if (p > 1e-8) amps.push({ k, p });
+        }
+        amps.sort((a, b) => b.p - a.p);
+
+        return amps.slice(0, maxRows).map(({ k }) => {
+            let bits = '';
+            const n = k >> wires ? sv.n : wires;
+            for (let q = 0; q < n; q++) bits += (k >> q) & 1;
+            const re = sv.re[k], im = sv.im[k];
+            return `
+            <div class="qc-sv-row">
+                <span class="qc-sv-label">|${bits}⟩:</span>
+                <span class="qc-sv-val">${re.toFixed(4)} ${im >= 0 ? '+' : '−'} ${Math.abs(im).toFixed(4)}i</span>
+            </div>`;
+        }).join('');
+    }
+
     function updateDisplay() {
         if (!stateOutput) return;
-        const sv = SpinPhysics.getStateVector();
+        const rho = SpinPhysics.getDensityMatrix();
         const p0 = SpinPhysics.getP0();
         const p1 = SpinPhysics.getP1();
         const angles = SpinPhysics.getBlochAngles();
+        const r01 = rho[0][1];
+        const multiQubit = circuit.some(op => op.qubits.some(q => q !== SpinPhysics.ADDRESSED_QUBIT));
 
         stateOutput.innerHTML = `
             <div class="qc-sv-row">
-                <span class="qc-sv-label">α (|0⟩):</span>
-                <span class="qc-sv-val">${sv.alpha.re.toFixed(4)} ${sv.alpha.im >= 0 ? '+' : '−'} ${Math.abs(sv.alpha.im).toFixed(4)}i</span>
+                <span class="qc-sv-label">ρ₀₀:</span>
+                <span class="qc-sv-val">${rho[0][0].re.toFixed(4)}</span>
+            </div>
+            <div class="qc-sv-row">
+                <span class="qc-sv-label">ρ₀₁:</span>
+                <span class="qc-sv-val">${r01.re.toFixed(4)} ${r01.im >= 0 ? '+' : '−'} ${Math.abs(r01.im).toFixed(4)}i</span>
             </div>
             <div class="qc-sv-row">
-                <span class="qc-sv-label">β (|1⟩):</span>
-                <span class="qc-sv-val">${sv.beta.re.toFixed(4)} ${sv.beta.im >= 0 ? '+' : '−'} ${Math.abs(sv.beta.im).toFixed(4)}i</span>
+                <span class="qc-sv-label">ρ₁₁:</span>
+                <span class="qc-sv-val">${rho[1][1].re.toFixed(4)}</span>
             </div>
             <div class="qc-sv-row">
                 <span class="qc-sv-label">P(|0⟩):</span>
@@ -119,6 +687,14 @@ const QuantumComputing = (() => {
                 <span class="qc-sv-label">P(|1⟩):</span>
                 <span class="qc-sv-val">${(p1 * 100).toFixed(2)}%</span>
             </div>
+            <div class="qc-sv-row">
+                <span class="qc-sv-label">Purity Tr ρ²:</span>
+                <span class="qc-sv-val">${SpinPhysics.getPurity().toFixed(4)}</span>
+            </div>
+            <div class="qc-sv-row">
+                <span class="qc-sv-label">|r| (Bloch):</span>
+                <span class="qc-sv-val">${SpinPhysics.getBlochLength().toFixed(4)}</span>
+            </div>
             <div class="qc-sv-row">
                 <span class="qc-sv-label">θ (Bloch):</span>
                 <span class="qc-sv-val">${(angles.theta / Math.PI).toFixed(4)}π = ${(angles.theta * 180 / Math.PI).toFixed(1)}°</span>
@@ -127,45 +703,209 @@ const QuantumComputing = (() => {
                 <span class="qc-sv-label">φ (Bloch):</span>
                 <span class="qc-sv-val">${(angles.phi / Math.PI).toFixed(4)}π = ${(angles.phi * 180 / Math.PI).toFixed(1)}°</span>
             </div>
+            ${multiQubit ? '<div class="qc-sv-heading">Register amplitudes</div>' + registerRows(8) : ''}
+        `;
+    }
+
+    // ─── Shot Histogram ────
+    function renderHistogram(result) {
+        if (!histogram) return;
+        const MAX_ROWS = 16;
+        let rows = result.outcomes;
+        if (rows.length > MAX_ROWS) {
+            rows = rows.slice()
+                .sort((a, b) => Math.max(b.freq, b.ideal || 0) - Math.max(a.freq, a.ideal || 0))
+                .slice(0, MAX_ROWS)
+                .sort((a, b) => (a.key < b.key ? -1 : 1));
+        }
+        const pct = x => Math.max(0, Math.min(100, x * 100));
+
+        histogram.innerHTML = `
+            <div class="qc-hist-head">
+                ${result.shots.toLocaleString()} ${result.noisy ? 'noisy ' : ''}shots${result.shots < result.requested ? ` (capped from ${result.requested.toLocaleString()})` : ''} · ${result.measured.map(q => 'q' + q).join(' ')}
+                <span class="qc-hist-legend"><i class="qc-hist-key-bar"></i>measured ± 1σ <i class="qc-hist-key-ideal"></i>ideal</span>
+            </div>
+            ${rows.map(o => `
+            <div class="qc-hist-row">
+                <span class="qc-hist-label">|${o.key}⟩</span>
+                <span class="qc-hist-track">
+                    <span class="qc-hist-bar" style="width:${pct(o.freq)}%"></span>
+                    <span class="qc-hist-err" style="left:${pct(o.freq - o.sigma)}%; width:${pct(o.freq + o.sigma) - pct(o.freq - o.sigma)}%"></span>
+                    ${o.ideal !== null ? `<span class="qc-hist-ideal" style="left:${pct(o.ideal)}%"></span>` : ''}
+                </span>
+                <span class="qc-hist-val">${(o.freq * 100).toFixed(1)} ± ${(o.sigma * 100).toFixed(1)}%
+                    <small>${o.ideal !== null ? (o.ideal * 100).toFixed(1) + '%' : '—'}</small></span>
+            </div>`).join('')}
+            ${result.tvd !== null ? `<div class="qc-hist-note">Distance from ideal (TVD): ${result.tvd.toFixed(4)}</div>` : ''}
+            ${result.outcomes.length > rows.length ? `<div class="qc-hist-note">+${result.outcomes.length - rows.length} rarer outcomes</div>` : ''}
+            ${result.exact ? '' : '<div class="qc-hist-note">Too many measurement branches for an exact ideal — shots simulated one by one</div>'}
+            ${result.shots < result.requested ? `<div class="qc-hist-note">${truncationNote(result)}</div>` : ''}
         `;
+        histogram.style.display = 'block';
+    }
+
+    // ─── Circuit Editor ────
+    function wireCircuitEditor() {
+        if (!circuitInput) return;
+        circuitInput.addEventListener('input', checkCircuit);
+        circuitInput.addEventListener('scroll', () => {
+            if (circuitMarks) circuitMarks.scrollTop = circuitInput.scrollTop;
+        });
+        circuitInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                runCircuit();
+            }
+        });
+        if (circuitErrors) {
+            // Clicking a message selects the offending text
+            circuitErrors.addEventListener('click', e => {
+                const row = e.target.closest('.qc-diagnostic');
+                if (!row) return;
+                circuitInput.focus();
+                circuitInput.setSelectionRange(+row.dataset.start, +row.dataset.end);
+            });
+        }
     }
 
-    // Run a pre-built circuit sequence
+    // Parse the input, underline its errors and list them below it
+    function checkCircuit() {
+        const text = circuitInput.value;
+        const parser = Qasm.isQasm(text) ? Qasm : CircuitParser;
+        const result = parser.parse(text, Math.max(1, QuantumRegister.getQubitCount()));
+        showDiagnostics(text, result.errors);
+        return result;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    function showDiagnostics(text, errors) {
+        if (circuitMarks) {
+            let html = '', at = 0;
+            for (const e of errors) {
+                if (e.start < at) continue;
+                // An error at a line end or the end of input marks a space
+                const marked = text.slice(e.start, Math.max(e.end, e.start + 1)).replace(/\n/g, ' \n');
+                html += escapeHtml(text.slice(at, e.start)) +
+                    `<mark class="qc-error-mark">${escapeHtml(marked) || ' '}</mark>`;
+                at = Math.max(e.end, e.start + 1);
+            }
+            circuitMarks.innerHTML = html + escapeHtml(text.slice(at)) + '\n';
+            circuitMarks.scrollTop = circuitInput.scrollTop;
+        }
+        if (circuitErrors) {
+            circuitErrors.innerHTML = errors.map(e =>
+                `<div class="qc-diagnostic" data-start="${e.start}" data-end="${e.end}">${e.line}:${e.col} ${escapeHtml(e.message)}</div>`).join('');
+        }
+    }
+
+    // ─── OpenQASM ────
+    function wireQasm() {
+        const importBtn = document.getElementById('qc-qasm-import-btn');
+        const fileInput = document.getElementById('qc-qasm-file');
+        const version = document.getElementById('qc-qasm-version');
+        const exportBtn = document.getElementById('qc-qasm-export-btn');
+        const logBtn = document.getElementById('qc-qasm-log-btn');
+
+        if (importBtn && fileInput && circuitInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(text => {
+                    fileInput.value = '';
+                    addToHistory(`Loaded ${file.name}`, '#34a853');
+                    importQasm(text);
+                }).catch(e => {
+                    fileInput.value = '';
+                    addToHistory(`Could not read ${file.name}: ${e.message}`, '#ea4335');
+                });
+            });
+        }
+        const dialect = () => (version ? version.value : '2.0');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                FileIO.download(exportQasm(dialect()), 'circuit.qasm');
+            });
+        }
+        if (logBtn) {
+            logBtn.addEventListener('click', () => {
+                FileIO.download(exportQasm(dialect(), true), 'gate-log.qasm');
+            });
+        }
+    }
+
+    // Put QASM source in the circuit input and run it; false if it has errors
+    function importQasm(text) {
+        if (!circuitInput) return false;
+        circuitInput.value = text;
+        if (checkCircuit().errors.length) return false;
+        runCircuit();
+        return true;
+    }
+
+    // The diagram's circuit, or with `fromLog` every gate since the last reset
+    function exportQasm(version = '2.0', fromLog = false) {
+        const ops = fromLog ?
+            SpinPhysics.getGateLog().map(({ gate, param, qubits }) => ({ gate, param, qubits })) :
+            getCircuit();
+        return Qasm.toQASM(ops, version);
+    }
+
+    // Run a pre-built circuit sequence: once, animated, or N shots at once
     function runCircuit() {
-        const input = document.getElementById('qc-circuit-input');
-        if (!input) return;
-        const circuit = input.value.trim().toUpperCase();
-        if (!circuit) return;
+        if (!circuitInput || !circuitInput.value.trim()) return;
+        const { ops, errors } = checkCircuit();
+        if (errors.length) {
+            addToHistory(`Circuit not run: ${errors.length} error${errors.length > 1 ? 's' : ''}`, '#ea4335');
+            return;
+        }
 
-        SpinPhysics.reset();
-        SpinPhysics.clearGateLog();
-        if (circuitDisplay) circuitDisplay.innerHTML = '<span class="qc-wire-label">|0⟩ ──</span>';
-        if (historyLog) historyLog.innerHTML = '';
+        recordEdit();
+        resetCircuit();
+        refreshQubitSelectors();
+
+        const shots = shotsInput ? parseInt(shotsInput.value) || 1 : 1;
+        if (shots > 1) {
+            runShots(ops, shots);
+            return;
+        }
+        if (histogram) histogram.style.display = 'none';
 
-        // Parse: H X Z MEASURE, or Rx(0.5pi)
-        const gates = circuit.split(/\s+/);
         let delay = 0;
-        for (const g of gates) {
-            const match = g.match(/^(RX|RY|RZ)\(([^)]+)\)$/i);
-            if (match) {
-                const name = match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
-                let angle = parseFloat(match[2]);
-                if (match[2].toLowerCase().includes('pi')) {
-                    angle = parseFloat(match[2]) * Math.PI;
-                }
-                setTimeout(() => applyGate(name, angle), delay);
-            } else if (g === 'MEASURE' || g === 'M') {
-                setTimeout(() => {
-                    const result = SpinPhysics.measure();
-                    addToHistory(`MEASURE → |${result}⟩`, result === 0 ? '#1a73e8' : '#ea4335');
-                    updateDisplay();
-                }, delay);
-            } else if (['X', 'Y', 'Z', 'H', 'S', 'T'].includes(g)) {
-                setTimeout(() => applyGate(g), delay);
-            }
+        for (const op of ops) {
+            if (op.gate === 'MEASURE') scheduleStep(() => measureQubit(op.qubits[0]), delay);
+            else scheduleStep(() => applyGate(op.gate, op.param, op.qubits), delay);
             delay += 200;
         }
     }
 
-    return { init, updateDisplay };
+    // The shots run on a scratch register; the diagram and the live state
+    // show one run of the circuit, simulated like any other edit
+    function runShots(ops, shots) {
+        const result = Shots.run(ops, shots);
+        setCircuit(ops);
+        renderHistogram(result);
+        const note = truncationNote(result);
+        if (note) addToHistory(note, '#ea4335');
+        else addToHistory(`Ran ${result.shots.toLocaleString()} shots → ${result.outcomes.length} outcomes`, '#34a853');
+    }
+
+    // Why a shots run stopped short of the requested count, or ''
+    function truncationNote({ shots, requested, noisy }) {
+        if (shots >= requested) return '';
+        const why = noisy ? 'noisy shots are simulated one by one' :
+            'with this many mid-circuit measurement branches shots are simulated one by one';
+        return `Ran only ${shots.toLocaleString()} of ${requested.toLocaleString()} shots: ${why}, ` +
+            `and shots × ops × 2ⁿ is capped at ${Shots.MAX_WORK.toExponential(0)} amplitude updates`;
+    }
+
+    // Copy of the ops shown in the diagram, for the tomography tool
+    function getCircuit() {
+        return circuit.map(op => ({ ...op, qubits: op.qubits.slice() }));
+    }
+
+    return { init, updateDisplay, resetCircuit, getCircuit, undo, redo, importQasm, exportQasm };
 })();
@@ -30,6 +30,9 @@ const QuantumDot = (() => {
     // Store particles' individual phase for smooth animation
     const particlePhases = [];
 
+    // Seeded stream for the particle cloud and its thermal jitter
+    const rand = Rng.stream('quantumDot');
+
     function init(scene) {
         electronGroup = new THREE.Group();
         electronGroup.visible = false;
@@ -42,19 +45,19 @@ const QuantumDot = (() => {
         wfSizes = new Float32Array(PARTICLE_COUNT);
 
         for (let i = 0; i < PARTICLE_COUNT; i++) {
-            wfPositions[i * 3] = (Math.random() - 0.5) * 1.5;
-            wfPositions[i * 3 + 1] = (Math.random() - 0.5) * 1.5;
-            wfPositions[i * 3 + 2] = (Math.random() - 0.5) * 1.5;
+            wfPositions[i * 3] = (rand() - 0.5) * 1.5;
+            wfPositions[i * 3 + 1] = (rand() - 0.5) * 1.5;
+            wfPositions[i * 3 + 2] = (rand() - 0.5) * 1.5;
             wfColors[i * 3] = 0.1;
             wfColors[i * 3 + 1] = 0.5;
             wfColors[i * 3 + 2] = 0.95;
-            wfSizes[i] = 0.06 + Math.random() * 0.04;
+            wfSizes[i] = 0.06 + rand() * 0.04;
 
             particlePhases.push({
-                px: Math.random() * Math.PI * 2,
-                py: Math.random() * Math.PI * 2,
-                pz: Math.random() * Math.PI * 2,
-                speed: 0.5 + Math.random() * 2
+                px: rand() * Math.PI * 2,
+                py: rand() * Math.PI * 2,
+                pz: rand() * Math.PI * 2,
+                speed: 0.5 + rand() * 2
             });
         }
         pGeo.setAttribute('position', new THREE.BufferAttribute(wfPositions, 3));
@@ -239,9 +242,9 @@ const QuantumDot = (() => {
 
                 // Temperature noise jitter
                 if (noiseLevel > 0.1) {
-                    wfPositions[i * 3] += (Math.random() - 0.5) * noiseLevel * 0.3;
-                    wfPositions[i * 3 + 1] += (Math.random() - 0.5) * noiseLevel * 0.3;
-                    wfPositions[i * 3 + 2] += (Math.random() - 0.5) * noiseLevel * 0.3;
+                    wfPositions[i * 3] += (rand() - 0.5) * noiseLevel * 0.3;
+                    wfPositions[i * 3 + 1] += (rand() - 0.5) * noiseLevel * 0.3;
+                    wfPositions[i * 3 + 2] += (rand() - 0.5) * noiseLevel * 0.3;
                 }
             }
             wfParticles.geometry.attributes.position.needsUpdate = true;
@@ -417,5 +420,5 @@ const QuantumDot = (() => {
         if (potentialCurve) potentialCurve.visible = vis;
     }
 
-    return { init, update, setGateVoltages, getGateVoltages, getIsTrapped, showGates };
+    return { init, update, setGateVoltages, getGateVoltages, getIsTrapped, showGates, potential, WELL_SEPARATION };
 })();
@@ -0,0 +1,79 @@
+/**
+ * quantumRegister.js — Multi-Qubit Register Behind the Lattice
+ *
+ * One state vector of 2^n amplitudes for the n qubits in Lattice.getQubits(),
+ * indexed in the same order. Lattice grows and shrinks it as markers are
+ * added and removed (a removed qubit is measured, collapsing whatever it was
+ * entangled with); SpinPhysics mirrors its coherent operations on the
+ * addressed qubit into it. This is a pure-state model: the addressed qubit's
+ * Lindblad dissipation is exact on its ρ in SpinPhysics and enters here as
+ * one sampled quantum trajectory, like gate noise.
+ */
+
+const QuantumRegister = (() => {
+    const MAX_QUBITS = 16; // 65 536 amplitudes
+
+    let sv = StateVector.create(0);
+
+    // Seeded stream shared with SpinPhysics for measurement outcomes
+    const rand = Rng.stream('measurement');
+    const noiseRand = Rng.stream('noise');
+
+    function addQubit() {
+        if (sv.n >= MAX_QUBITS) return -1;
+        sv = StateVector.addQubit(sv);
+        return sv.n - 1;
+    }
+
+    function removeQubit(index) {
+        if (index < 0 || index >= sv.n) return false;
+        sv = StateVector.removeQubit(sv, index, rand);
+        return true;
+    }
+
+    function applyMatrix(q, U) {
+        if (q < 0 || q >= sv.n) return;
+        StateVector.applySingle(sv, q, U);
+    }
+
+    function applyTwoQubit(q1, q2, M) {
+        if (q1 < 0 || q1 >= sv.n || q2 < 0 || q2 >= sv.n || q1 === q2) return;
+        StateVector.applyTwoQubit(sv, q1, q2, M);
+    }
+
+    // One sampled trajectory of NoiseModel's channels on `qubits`, drawn from
+    // the gate-noise stream unless the caller supplies its own
+    function applyNoise(qubits, params, rand = noiseRand) {
+        if (qubits.some(q => q < 0 || q >= sv.n)) return;
+        NoiseModel.sampleOnState(sv, qubits, params, rand);
+    }
+
+    function measure(q) {
+        if (q < 0 || q >= sv.n) return 0;
+        return StateVector.measure(sv, q, rand);
+    }
+
+    // Force qubit q into |outcome⟩, flipping it first if that branch is empty
+    function collapse(q, outcome) {
+        if (q < 0 || q >= sv.n) return;
+        if (StateVector.project(sv, q, outcome) === 0) {
+            StateVector.applySingle(sv, q, [[{ re: 0, im: 0 }, { re: 1, im: 0 }], [{ re: 1, im: 0 }, { re: 0, im: 0 }]]);
+            StateVector.project(sv, q, outcome);
+        }
+    }
+
+    function reset() {
+        sv = StateVector.create(sv.n);
+    }
+
+    function getReducedDensityMatrix(q) { return StateVector.reducedDensityMatrix(sv, q); }
+    function getBlochVector(q) { return StateVector.blochVector(sv, q); }
+    function getQubitCount() { return sv.n; }
+    function getState() { return StateVector.clone(sv); }
+
+    return {
+        addQubit, removeQubit, applyMatrix, applyTwoQubit, applyNoise, measure, collapse, reset,
+        getReducedDensityMatrix, getBlochVector, getQubitCount, getState,
+        MAX_QUBITS
+    };
+})();
@@ -0,0 +1,202 @@
+/**
+ * qubitMath.js — Complex, 2×2 Matrix & Density-Matrix Helpers
+ *
+ * Shared by every module that evolves a single qubit:
+ *   - Complex numbers as { re, im }
+ *   - 2×2 operators as [[a, b], [c, d]] of complex entries
+ *   - Density matrices ρ in the same 2×2 layout
+ *
+ * Open-system step (Lindblad, exact for the dissipator alone):
+ *   dρ/dt = -i[H, ρ] + Σ_k L_k ρ L_k† − ½{L_k† L_k, ρ}
+ *   L↓ = √(γ₁(1−p_th)) σ₋   (relaxation |1⟩→|0⟩)
+ *   L↑ = √(γ₁ p_th) σ₊      (thermal excitation |0⟩→|1⟩)
+ *   L_φ = √(γ_φ/2) σ_z      (pure dephasing)
+ *   γ₁ = 1/T1, γ_φ = 1/T2 − 1/(2T1)
+ */
+
+const QubitMath = (() => {
+    // Complex arithmetic
+    function c(re, im = 0) { return { re, im }; }
+    function cmul(a, b) { return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }; }
+    function cadd(a, b) { return { re: a.re + b.re, im: a.im + b.im }; }
+    function csub(a, b) { return { re: a.re - b.re, im: a.im - b.im }; }
+    function cscale(a, s) { return { re: a.re * s, im: a.im * s }; }
+    function cnorm2(a) { return a.re * a.re + a.im * a.im; }
+    function cexp(theta) { return { re: Math.cos(theta), im: Math.sin(theta) }; }
+    function conj(a) { return { re: a.re, im: -a.im }; }
+
+    // ─── 2×2 Operators ────
+    function identity() {
+        return [[c(1), c(0)], [c(0), c(1)]];
+    }
+
+    function matMul(A, B) {
+        return [
+            [cadd(cmul(A[0][0], B[0][0]), cmul(A[0][1], B[1][0])), cadd(cmul(A[0][0], B[0][1]), cmul(A[0][1], B[1][1]))],
+            [cadd(cmul(A[1][0], B[0][0]), cmul(A[1][1], B[1][0])), cadd(cmul(A[1][0], B[0][1]), cmul(A[1][1], B[1][1]))]
+        ];
+    }
+
+    function dagger(A) {
+        return [[conj(A[0][0]), conj(A[1][0])], [conj(A[0][1]), conj(A[1][1])]];
+    }
+
+    // exp(−i·angle/2 · n̂·σ) — rotation by `angle` about the Bloch axis n̂
+    function rotation(nx, ny, nz, angle) {
+        const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (len < 1e-15 || angle === 0) return identity();
+        nx /= len; ny /= len; nz /= len;
+        const co = Math.cos(angle / 2), s = Math.sin(angle / 2);
+        return [
+            [c(co, -s * nz), c(-s * ny, -s * nx)],
+            [c(s * ny, -s * nx), c(co, s * nz)]
+        ];
+    }
+
+    /**
+     * Propagator of H(t) = ½ b(t)·σ from t0 to t0 + span, with field(t) → [bx, by, bz]
+     * in rad/s. Fourth-order Magnus expansion on equal sub-steps h, sampling
+     * b₁, b₂ at the Gauss points t + h(½ ∓ √3/6):
+     *   θ = (h/2)(b₁ + b₂) + (√3/12) h² (b₂ × b₁),   U_step = rotation(θ̂, |θ|)
+     * The step count keeps each step within maxStepAngle for a field of at
+     * most `rate` rad/s, so accuracy does not depend on the caller's step.
+     * The count is not capped: a long span costs proportionally more steps
+     * rather than coarser ones.
+     */
+    function magnusPropagator(field, t0, span, rate, maxStepAngle = 0.1) {
+        if (!(span > 0)) return identity();
+        const n = Math.max(1, Math.ceil(span * rate / maxStepAngle));
+        const h = span / n, g = Math.sqrt(3) / 6;
+        let U = identity();
+        for (let k = 0; k < n; k++) {
+            const t = t0 + k * h;
+            const a = field(t + h * (0.5 - g)), b = field(t + h * (0.5 + g));
+            const k2 = Math.sqrt(3) / 12 * h * h;
+            const x = h / 2 * (a[0] + b[0]) + k2 * (b[1] * a[2] - b[2] * a[1]);
+            const y = h / 2 * (a[1] + b[1]) + k2 * (b[2] * a[0] - b[0] * a[2]);
+            const z = h / 2 * (a[2] + b[2]) + k2 * (b[0] * a[1] - b[1] * a[0]);
+            U = matMul(rotation(x, y, z, Math.sqrt(x * x + y * y + z * z)), U);
+        }
+        return U;
+    }
+
+    // Inverse of rotation(): U = e^{iα}·exp(−i·angle/2 · n̂·σ), angle ∈ [0, 2π]
+    function axisAngle(U) {
+        const det = csub(cmul(U[0][0], U[1][1]), cmul(U[0][1], U[1][0]));
+        const phase = Math.atan2(det.im, det.re) / 2;
+        const g = cexp(-phase);
+        const v00 = cmul(g, U[0][0]), v01 = cmul(g, U[0][1]), v11 = cmul(g, U[1][1]);
+        const co = (v00.re + v11.re) / 2;
+        const nx = -v01.im, ny = -v01.re, nz = (v11.im - v00.im) / 2;
+        const s = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        const angle = 2 * Math.atan2(s, co);
+        return s < 1e-15
+            ? { nx: 0, ny: 0, nz: 1, angle, phase }
+            : { nx: nx / s, ny: ny / s, nz: nz / s, angle, phase };
+    }
+
+    // ‖U†U − I‖ (Frobenius); 0 for an exact unitary
+    function unitarityError(U) {
+        const P = matMul(dagger(U), U);
+        let e = 0;
+        for (let i = 0; i < 2; i++) {
+            for (let j = 0; j < 2; j++) e += cnorm2(csub(P[i][j], c(i === j ? 1 : 0)));
+        }
+        return Math.sqrt(e);
+    }
+
+    // Gram–Schmidt on the columns: snaps a nearly unitary U (rounded entries)
+    // onto an exact unitary
+    function orthonormalize(U) {
+        let a = U[0][0], b = U[1][0];
+        const na = Math.sqrt(cnorm2(a) + cnorm2(b));
+        a = cscale(a, 1 / na); b = cscale(b, 1 / na);
+        const proj = cadd(cmul(conj(a), U[0][1]), cmul(conj(b), U[1][1]));
+        let x = csub(U[0][1], cmul(proj, a)), y = csub(U[1][1], cmul(proj, b));
+        const nx = Math.sqrt(cnorm2(x) + cnorm2(y));
+        x = cscale(x, 1 / nx); y = cscale(y, 1 / nx);
+        return [[a, x], [b, y]];
+    }
+
+    // ─── Density Matrices ────
+    function pureState(alpha, beta) {
+        return [
+            [c(cnorm2(alpha)), cmul(alpha, conj(beta))],
+            [cmul(beta, conj(alpha)), c(cnorm2(beta))]
+        ];
+    }
+
+    function cloneRho(rho) {
+        return [[{ ...rho[0][0] }, { ...rho[0][1] }], [{ ...rho[1][0] }, { ...rho[1][1] }]];
+    }
+
+    // ρ → U ρ U†
+    function applyUnitary(rho, U) {
+        return hermitize(matMul(matMul(U, rho), dagger(U)));
+    }
+
+    // Exact solution of the T1/T2 dissipator over dt (no Hamiltonian):
+    //   ρ₁₁ → p_th + (ρ₁₁ − p_th)·e^(−t/T1),   ρ₀₁ → ρ₀₁·e^(−t/T2)
+    function lindbladStep(rho, dt, T1, T2, pThermal) {
+        const out = cloneRho(rho);
+        if (T1 > 0 && T1 < 1e6) {
+            const decay1 = Math.exp(-dt / T1);
+            const p1 = pThermal + (rho[1][1].re - pThermal) * decay1;
+            out[1][1] = c(Math.max(0, Math.min(1, p1)));
+            out[0][0] = c(1 - out[1][1].re);
+        }
+        if (T2 > 0 && T2 < 1e6) {
+            const decay2 = Math.exp(-dt / T2);
+            out[0][1] = cscale(rho[0][1], decay2);
+            out[1][0] = conj(out[0][1]);
+        }
+        return out;
+    }
+
+    // Collapse rates for the dissipator above (for display / validation)
+    function lindbladRates(T1, T2, pThermal) {
+        const gamma1 = T1 > 0 ? 1 / T1 : 0;
+        const gammaPhi = Math.max(0, (T2 > 0 ? 1 / T2 : 0) - gamma1 / 2);
+        return {
+            down: gamma1 * (1 - pThermal),
+            up: gamma1 * pThermal,
+            dephasing: gammaPhi
+        };
+    }
+
+    // Keep ρ Hermitian with unit trace against round-off drift
+    function hermitize(rho) {
+        const tr = rho[0][0].re + rho[1][1].re;
+        const n = tr > 1e-12 ? 1 / tr : 1;
+        const off = cscale(cadd(rho[0][1], conj(rho[1][0])), 0.5 * n);
+        return [[c(rho[0][0].re * n), off], [conj(off), c(rho[1][1].re * n)]];
+    }
+
+    // ρ = ½(I + x σx + y σy + z σz)
+    function blochVector(rho) {
+        return {
+            x: 2 * rho[0][1].re,
+            y: -2 * rho[0][1].im,
+            z: rho[0][0].re - rho[1][1].re
+        };
+    }
+
+    function fromBloch(x, y, z) {
+        return [
+            [c((1 + z) / 2), c(x / 2, -y / 2)],
+            [c(x / 2, y / 2), c((1 - z) / 2)]
+        ];
+    }
+
+    // Tr(ρ²) = ½(1 + |r|²)
+    function purity(rho) {
+        return rho[0][0].re * rho[0][0].re + rho[1][1].re * rho[1][1].re + 2 * cnorm2(rho[0][1]);
+    }
+
+    return {
+        c, cmul, cadd, csub, cscale, cnorm2, cexp, conj,
+        identity, matMul, dagger, rotation, magnusPropagator, axisAngle, unitarityError, orthonormalize,
+        pureState, cloneRho, applyUnitary, lindbladStep, lindbladRates,
+        hermitize, blochVector, fromBloch, purity
+    };
+})();
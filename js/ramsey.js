@@ -0,0 +1,199 @@
+/**
+ * ramsey.js — Ramsey Interferometry Experiment
+ *
+ * π/2 – free evolution τ – π/2 on a scratch copy of the addressed qubit,
+ * swept over τ for each drive detuning Δ. During τ the spin precesses at
+ * Δ + δ in the rotating frame. δ is quasi-static and drawn afresh for every
+ * shot: the ²⁹Si Overhauser shift from Decoherence's σ_n, plus an offset
+ * carrying the rest of T2*, which Decoherence adds in quadrature
+ * (σ_n² + σ_rest² = 2 / (2π T2*)²). Averaged over shots this gives the
+ * Gaussian envelope, and T1 acts through the Lindblad dissipator:
+ *   P(|1⟩) = ½ + ½ e^(−(τ/T2*)²) cos(2π Δ τ)      (T1 ≫ τ)
+ * Each point is sampled with a finite number of shots, then every fringe is
+ * fit to A + B e^(−(τ/T)^n) cos(2π f τ + φ) with the exponent n free (1 for
+ * Markovian dephasing, 2 for a quasi-static bath) and the fitted T2* compared
+ * with the model value. Pulses are ideal and instantaneous; the live qubit
+ * is not touched.
+ */
+
+const Ramsey = (() => {
+    const { c, rotation, applyUnitary, lindbladStep, pureState } = QubitMath;
+
+    const COLORS = ['#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9334e6', '#00897b'];
+    const MAX_DETUNINGS = COLORS.length;
+    const MAX_SHOTS = 5000;
+
+    const rand = Rng.stream('ramsey');
+    const els = {};
+    let last = null;
+
+    function init() {
+        els.tauMax = document.getElementById('ramsey-tau-max');
+        els.points = document.getElementById('ramsey-points');
+        els.detunings = document.getElementById('ramsey-detunings');
+        els.shots = document.getElementById('ramsey-shots');
+        els.runBtn = document.getElementById('ramsey-run-btn');
+        els.autoBtn = document.getElementById('ramsey-auto-btn');
+        els.canvas = document.getElementById('ramsey-canvas');
+        els.fitVal = document.getElementById('ramsey-t2-fit');
+        els.modelVal = document.getElementById('ramsey-t2-model');
+        els.fitTable = document.getElementById('ramsey-fits');
+        if (!els.runBtn) return;
+
+        els.runBtn.addEventListener('click', () => {
+            run({
+                tauMax: parseFloat(els.tauMax.value) * 1e-6,
+                points: parseInt(els.points.value),
+                detunings: els.detunings.value.split(',').map(v => parseFloat(v) * 1e3).filter(Number.isFinite),
+                shots: parseInt(els.shots.value)
+            });
+        });
+
+        // Pick τ_max and Δ so a few fringes fit inside ~3 T2*
+        if (els.autoBtn) {
+            els.autoBtn.addEventListener('click', () => {
+                const T2star = Decoherence.getState().T2star;
+                els.tauMax.value = +(3 * T2star * 1e6).toPrecision(3);
+                els.detunings.value = [2, 4].map(n => +(n / (3 * T2star) / 1e3).toPrecision(3)).join(', ');
+            });
+        }
+        window.addEventListener('resize', () => { if (last) draw(last); });
+    }
+
+    // Per-shot Larmor offset σ (Hz) of the bath and of the rest of T2*
+    function offsetSigmas(deco) {
+        const total = Math.SQRT2 / (2 * Math.PI * deco.T2star);
+        const nuclear = Math.min(deco.overhauserSigma, total);
+        return { nuclear, rest: Math.sqrt(total * total - nuclear * nuclear) };
+    }
+
+    // P(|1⟩) at the end of one π/2 – τ – π/2 sequence, detuning Δ in Hz, with
+    // an extra precession `phase` (rad) from the shot's offset during τ
+    function fringePoint(tau, detuning, deco, phase = 0) {
+        const half = rotation(1, 0, 0, Math.PI / 2);
+        let rho = applyUnitary(pureState(c(1), c(0)), half);
+        rho = applyUnitary(rho, rotation(0, 0, 1, 2 * Math.PI * detuning * tau + phase));
+        // T1 only: the per-shot offsets carry the dephasing
+        rho = lindbladStep(rho, tau, deco.T1, 2 * deco.T1, deco.thermalExcitation);
+        rho = applyUnitary(rho, half);
+        return rho[1][1].re;
+    }
+
+    /**
+     * Fraction of `shots` reading |1⟩ at τ, each shot with its own offsets
+     * δ = δ_n + δ_rest. P(|1⟩) is a + b cos φ + c sin φ in the extra phase
+     * φ = 2π δ τ, so three exact points give every shot's probability. For
+     * shots = 0 it returns the average a + b e^(−⟨φ²⟩/2).
+     */
+    function samplePoint(tau, detuning, deco, shots) {
+        const p0 = fringePoint(tau, detuning, deco, 0);
+        const pPi = fringePoint(tau, detuning, deco, Math.PI);
+        const a = (p0 + pPi) / 2, b = (p0 - pPi) / 2;
+        const { nuclear, rest } = offsetSigmas(deco);
+        const scale = 2 * Math.PI * tau;
+        if (!shots) return a + b * Math.exp(-(scale * scale) * (nuclear * nuclear + rest * rest) / 2);
+        const cs = fringePoint(tau, detuning, deco, Math.PI / 2) - a;
+        let k = 0;
+        for (let s = 0; s < shots; s++) {
+            const phi = scale * (nuclear * Rng.gaussian(rand) + rest * Rng.gaussian(rand));
+            if (rand() < a + b * Math.cos(phi) + cs * Math.sin(phi)) k++;
+        }
+        return k / shots;
+    }
+
+    function envelope(tau, T, n) {
+        return Math.exp(-Math.pow(tau / Math.abs(T), Math.abs(n)));
+    }
+
+    function model(tau, [A, B, T, f, phi, n]) {
+        return A + B * envelope(tau, T, n) * Math.cos(2 * Math.PI * f * tau + phi);
+    }
+
+    function fitFringe(taus, ys, detuning, tauMax, sigma) {
+        const fit = Fitting.curveFit(model, taus, ys, [0.5, 0.5, tauMax / 3, Math.abs(detuning), 0, 1.5], {
+            scale: [0.1, 0.1, tauMax / 5, 0.5 / tauMax, 0.5, 0.3],
+            sigma
+        });
+        const [A, B, T, f, phi, n] = fit.params;
+        return {
+            A, B, T2star: Math.abs(T), freq: Math.abs(f), phi, exponent: Math.abs(n),
+            T2err: fit.errors[2], ferr: fit.errors[3], nerr: fit.errors[5]
+        };
+    }
+
+    /**
+     * Sweep τ ∈ [0, tauMax] (s) over `points` for each detuning (Hz) with
+     * `shots` per point (0 = exact probabilities). Returns the data, fits,
+     * the inverse-variance weighted T2* and the model T2*.
+     */
+    function run({ tauMax, points, detunings, shots }) {
+        const deco = Decoherence.getState();
+        tauMax = tauMax > 0 ? tauMax : 3 * deco.T2star;
+        points = Math.max(8, Math.min(400, points || 80));
+        shots = Math.max(0, Math.min(MAX_SHOTS, shots || 0));
+        detunings = (detunings && detunings.length ? detunings : [2 / (3 * deco.T2star)]).slice(0, MAX_DETUNINGS);
+
+        const taus = Array.from({ length: points }, (_, i) => tauMax * i / (points - 1));
+        const curves = detunings.map(detuning => {
+            const p1 = taus.map(tau => samplePoint(tau, detuning, deco, shots));
+            const sigma = shots ? p1.map(p => Math.max(Math.sqrt(p * (1 - p) / shots), 0.5 / shots)) : null;
+            return { detuning, p1, sigma, fit: fitFringe(taus, p1, detuning, tauMax, sigma) };
+        });
+
+        // Combine the per-fringe T2* estimates
+        let wsum = 0, tsum = 0;
+        for (const { fit } of curves) {
+            const w = fit.T2err > 0 ? 1 / (fit.T2err * fit.T2err) : 0;
+            wsum += w; tsum += w * fit.T2star;
+        }
+        const T2fit = wsum > 0 ? tsum / wsum : curves.reduce((s, cv) => s + cv.fit.T2star, 0) / curves.length;
+        const T2fitErr = wsum > 0 ? 1 / Math.sqrt(wsum) : NaN;
+
+        last = { taus, curves, shots, T2fit, T2fitErr, T2model: deco.T2star };
+        draw(last);
+        showResults(last);
+        return last;
+    }
+
+    function draw({ taus, curves }) {
+        if (!els.canvas) return;
+        const tauMax = taus[taus.length - 1];
+        const series = [];
+        curves.forEach(({ p1, sigma, fit }, k) => {
+            const color = COLORS[k];
+            const fine = Array.from({ length: 300 }, (_, i) => tauMax * i / 299);
+            const p = [fit.A, fit.B, fit.T2star, fit.freq, fit.phi, fit.exponent];
+            series.push({ kind: 'dots', color, points: taus.map((t, i) => [t * 1e6, p1[i]]), errors: sigma });
+            series.push({ kind: 'line', color, width: 1.5, points: fine.map(t => [t * 1e6, model(t, p)]) });
+            for (const sign of [1, -1]) {
+                series.push({
+                    kind: 'line', color, width: 1, dash: [4, 3],
+                    points: fine.map(t => [t * 1e6, fit.A + sign * Math.abs(fit.B) * envelope(t, fit.T2star, fit.exponent)])
+                });
+            }
+        });
+        Plot.draw(els.canvas, {
+            xRange: [0, tauMax * 1e6], yRange: [0, 1],
+            xLabel: 'τ (μs)', yLabel: 'P(|1⟩)',
+            series,
+            legend: curves.map(({ detuning }, k) => ({ label: `Δ = ${(detuning / 1e3).toFixed(1)} kHz`, color: COLORS[k] }))
+        });
+    }
+
+    function showResults({ curves, T2fit, T2fitErr, T2model }) {
+        const fmt = Decoherence.formatTime;
+        if (els.fitVal) els.fitVal.textContent = fmt(T2fit) + (Number.isFinite(T2fitErr) ? ' ± ' + fmt(T2fitErr) : '');
+        if (els.modelVal) els.modelVal.textContent = fmt(T2model);
+        if (els.fitTable) {
+            els.fitTable.innerHTML = curves.map(({ detuning, fit }, k) => `
+                <div class="experiment-fit-row">
+                    <span style="color:${COLORS[k]}">●</span>
+                    Δ ${(detuning / 1e3).toFixed(1)} kHz → f ${(fit.freq / 1e3).toFixed(2)} kHz,
+                    T2* ${fmt(fit.T2star)}${Number.isFinite(fit.T2err) ? ' ± ' + fmt(fit.T2err) : ''},
+                    exponent ${fit.exponent.toFixed(2)}${Number.isFinite(fit.nerr) ? ' ± ' + fit.nerr.toFixed(2) : ''}
+                </div>`).join('');
+        }
+    }
+
+    return { init, run, fringePoint };
+})();
@@ -0,0 +1,65 @@
+/**
+ * random.js — Seeded, Reproducible Randomness
+ *
+ * One global seed (from ?seed= in the URL, the header seed field, or a fresh
+ * random pick shown to the user) drives every stochastic path in the
+ * simulation. Each consumer draws from its own named stream, derived from
+ * hash(seed / name), so the per-frame visual jitter in Lattice and QuantumDot
+ * — whose draw count depends on frame rate — can never shift the sequence of
+ * measurement outcomes. Same seed, same circuit → same results.
+ *
+ * Generator: mulberry32 (32-bit state, period 2^32), seeded via FNV-1a.
+ */
+
+const Rng = (() => {
+    let seed = initialSeed();
+    const streams = new Map(); // name → { state }
+
+    function initialSeed() {
+        if (typeof location !== 'undefined') {
+            const fromUrl = new URLSearchParams(location.search).get('seed');
+            if (fromUrl !== null && fromUrl.trim() !== '') return fromUrl.trim();
+        }
+        return String(Math.floor(Math.random() * 1e6));
+    }
+
+    // FNV-1a hash of a string to a 32-bit unsigned integer
+    function hash(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function mulberry32(s) {
+        s.state = (s.state + 0x6d2b79f5) >>> 0;
+        let t = s.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // A uniform [0, 1) generator for `name`, restarted whenever the seed changes
+    function stream(name) {
+        if (!streams.has(name)) streams.set(name, { state: hash(seed + '/' + name) });
+        const s = streams.get(name);
+        return () => mulberry32(s);
+    }
+
+    function setSeed(newSeed) {
+        seed = String(newSeed).trim() || '0';
+        for (const [name, s] of streams) s.state = hash(seed + '/' + name);
+    }
+
+    function getSeed() { return seed; }
+
+    // Standard normal deviate from a uniform stream (Box–Muller)
+    function gaussian(rand) {
+        const u = 1 - rand();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+    }
+
+    return { stream, setSeed, getSeed, gaussian };
+})();
@@ -0,0 +1,212 @@
+/**
+ * readout.js — Spin-to-Charge (Elzerman) Readout
+ *
+ * With the readout enabled, SpinPhysics.measure still projects the spin but
+ * reports what a single-shot Elzerman measurement of that spin would say:
+ *
+ *   Level alignment: the dot's Zeeman-split electrochemical levels
+ *     μ↓,↑ = δ ∓ E_Z/2 sit around the reservoir Fermi level E_F = 0, with
+ *     δ = α (U(0) − U_read) set by the gate voltages through QuantumDot's
+ *     potential (α = lever arm). At δ = 0 only a spin-up electron can leave.
+ *   Tunnelling: rate Γ through the right-hand barrier toward the reservoir,
+ *     Γ = Γ₀ exp(−(U(x_R) − U(0) − U_ref) / U_w), so raising V_R slows it.
+ *     Out-rates Γ (1 − f(μ)), in-rates Γ f(μ), with the Fermi function
+ *     f(E) = 1 / (1 + e^(E/k_BT)) from Decoherence's temperature.
+ *   Spin flips in the dot at 1/T1, toward the thermal population.
+ *   Charge sensor: the dot occupation (empty = 1) is integrated per sample,
+ *     low-passed at the sensor bandwidth and given Gaussian noise σ; the
+ *     outcome is 1 if any sample crosses the threshold within t_read.
+ *
+ * Errors: thermal tunnelling of a spin-down electron, relaxation before the
+ * spin-up electron leaves, blips faster than the bandwidth, and noise spikes.
+ * The spin itself is left in the projected state (reloading is not modelled).
+ */
+
+const Readout = (() => {
+    const LEVER_ARM = 0.01;    // meV per potential unit
+    const U_READ = -30;        // potential at the dot centre for δ = 0
+    const GAMMA_0 = 1e5;       // Hz at the reference barrier
+    const BARRIER_REF = 20;    // potential units
+    const BARRIER_WIDTH = 10;  // potential units per e-fold of Γ
+    const SAMPLES_PER_BW = 4;  // sensor samples per 1/bandwidth
+
+    let enabled = false;
+    const settings = { tRead: 300e-6, threshold: 0.5, noise: 0.12, bandwidth: 100e3 };
+
+    const rand = Rng.stream('readout');
+    const els = {};
+    let lastTrace = null;
+
+    function init() {
+        els.toggle = document.getElementById('readout-toggle');
+        els.tRead = document.getElementById('readout-t-read');
+        els.threshold = document.getElementById('readout-threshold');
+        els.noise = document.getElementById('readout-noise');
+        els.bandwidth = document.getElementById('readout-bandwidth');
+        els.detuning = document.getElementById('readout-detuning');
+        els.rate = document.getElementById('readout-rate');
+        els.ratio = document.getElementById('readout-ratio');
+        els.fidelity = document.getElementById('readout-fidelity');
+        els.estimateBtn = document.getElementById('readout-estimate-btn');
+        els.section = document.getElementById('readout-section');
+        els.canvas = document.getElementById('readout-canvas');
+        if (!els.toggle) return;
+
+        els.toggle.addEventListener('click', () => {
+            els.toggle.classList.toggle('active');
+            setEnabled(els.toggle.classList.contains('active'));
+        });
+        [[els.tRead, 'tRead', 1e-6], [els.threshold, 'threshold', 1], [els.noise, 'noise', 1], [els.bandwidth, 'bandwidth', 1e3]]
+            .forEach(([input, key, unit]) => {
+                if (!input) return;
+                input.addEventListener('change', () => {
+                    setSetting(key, parseFloat(input.value) * unit);
+                    refresh();
+                });
+            });
+        if (els.estimateBtn) {
+            els.estimateBtn.addEventListener('click', () => {
+                const { fDown, fUp } = estimateFidelity(1000);
+                if (els.fidelity) {
+                    els.fidelity.textContent = `${(fDown * 100).toFixed(1)} / ${(fUp * 100).toFixed(1)} %`;
+                }
+            });
+        }
+        // Gate voltages, temperature and field are set on other stages
+        if (els.section) els.section.addEventListener('pointerenter', refresh);
+        window.addEventListener('resize', () => { if (lastTrace) drawTrace(lastTrace); });
+        refresh();
+    }
+
+    function setEnabled(on) { enabled = !!on; }
+    function isEnabled() { return enabled; }
+
+    function setSetting(key, value) {
+        if (key in settings && Number.isFinite(value) && value > 0) settings[key] = value;
+    }
+
+    // ─── Level Alignment ────
+    /**
+     * Readout point from the current gate voltages, temperature and field:
+     * { detuning δ, zeeman E_Z, kT (meV), gamma Γ (Hz), muDown, muUp }.
+     */
+    function getOperatingPoint() {
+        const deco = Decoherence.getState();
+        const u0 = QuantumDot.potential(0);
+        const barrier = QuantumDot.potential(QuantumDot.WELL_SEPARATION) - u0;
+        const detuning = LEVER_ARM * (u0 - U_READ);
+        const zeeman = deco.zeemanMeV;
+        const gamma = Math.min(1e9, GAMMA_0 * Math.exp(-(barrier - BARRIER_REF) / BARRIER_WIDTH));
+        return {
+            detuning, zeeman, gamma,
+            kT: Math.max(deco.kBT_meV, 1e-9),
+            muDown: detuning - zeeman / 2,
+            muUp: detuning + zeeman / 2,
+            T1: deco.T1,
+            thermal: deco.thermalExcitation
+        };
+    }
+
+    function fermi(E, kT) {
+        return 1 / (1 + Math.exp(Math.max(-700, Math.min(700, E / kT))));
+    }
+
+    // ─── Occupation (Gillespie) ────
+    // Dot states over [0, tRead]: [{ t, state: 'up' | 'down' | 'empty' }]
+    function occupation(spin, op) {
+        const fDown = fermi(op.muDown, op.kT), fUp = fermi(op.muUp, op.kT);
+        const rates = {
+            up: [['empty', op.gamma * (1 - fUp)], ['down', (1 - op.thermal) / op.T1]],
+            down: [['empty', op.gamma * (1 - fDown)], ['up', op.thermal / op.T1]],
+            empty: [['down', op.gamma * fDown], ['up', op.gamma * fUp]]
+        };
+        let state = spin === 1 ? 'up' : 'down';
+        let t = 0;
+        const events = [{ t, state }];
+        for (;;) {
+            const out = rates[state];
+            const total = out[0][1] + out[1][1];
+            if (!(total > 0)) break;
+            t += -Math.log(1 - rand()) / total;
+            if (t >= settings.tRead) break;
+            state = rand() * total < out[0][1] ? out[0][0] : out[1][0];
+            events.push({ t, state });
+        }
+        return events;
+    }
+
+    // ─── Charge Sensor ────
+    // Empty fraction per sample, low-passed, plus white noise
+    function sensorTrace(events) {
+        const dt = 1 / (SAMPLES_PER_BW * settings.bandwidth);
+        const n = Math.max(2, Math.ceil(settings.tRead / dt));
+        const alpha = 1 - Math.exp(-2 * Math.PI * settings.bandwidth * dt);
+        const trace = new Float64Array(n);
+        let k = 0, y = 0;
+        for (let i = 0; i < n; i++) {
+            const t0 = i * dt, t1 = t0 + dt;
+            let empty = 0;
+            while (k + 1 < events.length && events[k + 1].t <= t0) k++;
+            for (let j = k; j < events.length && events[j].t < t1; j++) {
+                const a = Math.max(t0, events[j].t);
+                const b = Math.min(t1, j + 1 < events.length ? events[j + 1].t : Infinity);
+                if (events[j].state === 'empty' && b > a) empty += b - a;
+            }
+            y += alpha * (empty / dt - y);
+            trace[i] = y + settings.noise * Rng.gaussian(rand);
+        }
+        return { trace, dt };
+    }
+
+    /**
+     * One single-shot readout of a projected spin (0 = ↓, 1 = ↑): returns
+     * the reported bit and stores the trace for display.
+     */
+    function read(spin) {
+        const op = getOperatingPoint();
+        const { trace, dt } = sensorTrace(occupation(spin, op));
+        const result = trace.some(v => v > settings.threshold) ? 1 : 0;
+        lastTrace = { trace, dt, spin, result };
+        drawTrace(lastTrace);
+        refresh();
+        return result;
+    }
+
+    // P(read 0 | ↓) and P(read 1 | ↑) over `n` simulated traces each
+    function estimateFidelity(n = 1000) {
+        const op = getOperatingPoint();
+        let down = 0, up = 0;
+        for (let i = 0; i < n; i++) {
+            if (!sensorTrace(occupation(0, op)).trace.some(v => v > settings.threshold)) down++;
+            if (sensorTrace(occupation(1, op)).trace.some(v => v > settings.threshold)) up++;
+        }
+        return { fDown: down / n, fUp: up / n, fidelity: (down + up) / (2 * n) };
+    }
+
+    // ─── Display ────
+    function refresh() {
+        const op = getOperatingPoint();
+        if (els.detuning) els.detuning.textContent = `${(op.detuning * 1e3).toFixed(1)} μeV`;
+        if (els.rate) {
+            els.rate.textContent = op.gamma >= 1e6 ? `${(op.gamma / 1e6).toFixed(2)} MHz` : `${(op.gamma / 1e3).toFixed(1)} kHz`;
+        }
+        if (els.ratio) els.ratio.textContent = (op.zeeman / op.kT).toFixed(1);
+    }
+
+    function drawTrace({ trace, dt, spin, result }) {
+        if (!els.canvas) return;
+        const tMax = trace.length * dt * 1e6;
+        const color = result === spin ? '#34a853' : '#ea4335';
+        Plot.draw(els.canvas, {
+            xRange: [0, tMax], yRange: [-0.5, 1.5],
+            xLabel: 't (μs)', yLabel: 'I sensor',
+            series: [
+                { kind: 'line', color: '#9aa0a6', width: 1, dash: [4, 3], points: [[0, settings.threshold], [tMax, settings.threshold]] },
+                { kind: 'line', color, width: 1.2, points: Array.from(trace, (v, i) => [(i + 1) * dt * 1e6, v]) }
+            ],
+            legend: [{ label: `spin ${spin ? '↑' : '↓'} → read ${result}`, color }]
+        });
+    }
+
+    return { init, setEnabled, isEnabled, setSetting, getOperatingPoint, read, estimateFidelity };
+})();
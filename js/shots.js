@@ -0,0 +1,297 @@
+/**
+ * shots.js — Multi-Shot Circuit Execution
+ *
+ * Runs a parsed circuit many times on a scratch register sized to the wires
+ * it touches, starting every shot from |0…0⟩; the live lattice state is left
+ * alone. The record of a shot is the last Z outcome of each measured qubit
+ * (every wire when the circuit has no MEASURE).
+ *
+ * A shot's record depends only on the outcome distribution, so the circuit
+ * is evaluated once exactly — branching on mid-circuit measurements, reading
+ * terminal ones off the final amplitudes — and the N shots are drawn from
+ * that distribution. That same distribution is the ideal one shown beside
+ * the histogram. Circuits with too many measurement branches fall back to
+ * simulating every shot and have no ideal column.
+ *
+ * Shot-by-shot simulation costs about shots × ops × 2ⁿ amplitude updates on
+ * the main thread, so it is capped at MAX_WORK: past that the shot count is
+ * cut and the result reports both the shots run and the shots requested.
+ *
+ * With NoiseModel enabled the shots are noisy trajectories, simulated one by
+ * one, while the ideal column stays the noiseless distribution; their total
+ * variation distance ½ Σ |f − p| summarises the damage. No wall-clock
+ * decoherence acts between gates.
+ */
+
+const Shots = (() => {
+    const MAX_SHOTS = 100000;
+    const MAX_BRANCHES = 256;
+    const MAX_WORK = 3e7; // amplitude updates per shot-by-shot run
+
+    const rand = Rng.stream('shots');
+
+    function wireCount(ops) {
+        let n = 1;
+        for (const op of ops) n = Math.max(n, ...op.qubits.map(q => q + 1));
+        return n;
+    }
+
+    function applyOp(sv, op, U) {
+        if (!U) return;
+        if (op.qubits.length === 2) StateVector.applyTwoQubit(sv, op.qubits[0], op.qubits[1], U);
+        else StateVector.applySingle(sv, op.qubits[0], U);
+    }
+
+    function opMatrix(op, eps) {
+        return NoiseModel.noisyMatrix(op.gate, op.param, eps);
+    }
+
+    // A MEASURE is terminal when nothing after it touches its qubit
+    function isTerminal(ops, index) {
+        const q = ops[index].qubits[0];
+        for (let k = index + 1; k < ops.length; k++) {
+            if (ops[k].qubits.includes(q)) return false;
+        }
+        return true;
+    }
+
+    // Record key: one bit per measured qubit, lowest index first
+    function recordKey(measured, bits) {
+        return measured.map(q => bits[q]).join('');
+    }
+
+    // Add the terminal-measurement outcomes of one branch to `dist`
+    function accumulate(dist, sv, weight, bits, terminal, measured) {
+        const rec = Object.assign({}, bits);
+        for (let k = 0; k < sv.re.length; k++) {
+            const p = sv.re[k] * sv.re[k] + sv.im[k] * sv.im[k];
+            if (p < 1e-14) continue;
+            for (const q of terminal) rec[q] = (k >> q) & 1;
+            const key = recordKey(measured, rec);
+            dist.set(key, (dist.get(key) || 0) + weight * p);
+        }
+    }
+
+    // Noiseless evolution split on every non-terminal MEASURE into
+    // { sv, p, bits } branches, or null past MAX_BRANCHES
+    function evolveBranches(ops, n, terminal) {
+        let branches = [{ sv: StateVector.create(n), p: 1, bits: {} }];
+
+        for (let i = 0; i < ops.length; i++) {
+            const op = ops[i];
+            if (op.gate !== 'MEASURE') {
+                const U = opMatrix(op, 0);
+                for (const b of branches) applyOp(b.sv, op, U);
+                continue;
+            }
+            if (terminal.has(i)) continue;
+
+            const q = op.qubits[0];
+            const next = [];
+            for (const b of branches) {
+                for (const outcome of [0, 1]) {
+                    const sv = StateVector.clone(b.sv);
+                    const w = StateVector.project(sv, q, outcome);
+                    if (w < 1e-12) continue;
+                    next.push({ sv, p: b.p * w, bits: Object.assign({}, b.bits, { [q]: outcome }) });
+                }
+            }
+            if (next.length > MAX_BRANCHES) return null;
+            branches = next;
+        }
+        return branches;
+    }
+
+    // Exact outcome distribution, or null past MAX_BRANCHES
+    function distribution(ops, n, measured, terminal) {
+        const branches = evolveBranches(ops, n, terminal);
+        if (!branches) return null;
+
+        const terminalQubits = [...terminal].map(i => ops[i].qubits[0]);
+        const dist = new Map();
+        for (const b of branches) accumulate(dist, b.sv, b.p, b.bits, terminalQubits, measured);
+        return dist;
+    }
+
+    // Draw `shots` records from a distribution by inverse CDF
+    function sample(dist, shots) {
+        const keys = [...dist.keys()];
+        const cdf = [];
+        let total = 0;
+        for (const k of keys) { total += dist.get(k); cdf.push(total); }
+
+        const counts = new Map();
+        for (let s = 0; s < shots; s++) {
+            const u = rand() * total;
+            let lo = 0, hi = cdf.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (cdf[mid] > u) hi = mid; else lo = mid + 1;
+            }
+            counts.set(keys[lo], (counts.get(keys[lo]) || 0) + 1);
+        }
+        return counts;
+    }
+
+    // Per-op matrices and, with `noisy`, NoiseModel rates — fixed for a run.
+    // Ops flagged `noiseless` skip NoiseModel (tomography basis changes)
+    function prepareSteps(ops, noisy) {
+        return ops.map(op => {
+            if (op.gate === 'MEASURE') return { op };
+            const noise = noisy && !op.noiseless ? NoiseModel.getParams(op.gate) : null;
+            return { op, noise, U: opMatrix(op, noise ? noise.overRotation : 0) };
+        });
+    }
+
+    // One trajectory: measures as the circuit goes, recording into `bits`
+    function runShot(steps, n, bits) {
+        const sv = StateVector.create(n);
+        for (const { op, noise, U } of steps) {
+            if (op.gate === 'MEASURE') {
+                bits[op.qubits[0]] = StateVector.measure(sv, op.qubits[0], rand);
+                continue;
+            }
+            applyOp(sv, op, U);
+            if (noise) NoiseModel.sampleOnState(sv, op.qubits, noise, rand);
+        }
+        return sv;
+    }
+
+    // Most trajectories of `ops` on n qubits that fit in MAX_WORK (at least one)
+    function maxTrajectories(ops, n) {
+        return Math.max(1, Math.floor(MAX_WORK / (Math.max(1, ops.length) * (1 << n))));
+    }
+
+    // Simulate each shot, measuring as the circuit goes; with `noisy` every
+    // gate also samples its NoiseModel channels
+    function simulate(ops, n, measured, shots, noisy) {
+        const steps = prepareSteps(ops, noisy);
+        const counts = new Map();
+        for (let s = 0; s < shots; s++) {
+            const bits = {};
+            runShot(steps, n, bits);
+            const key = recordKey(measured, bits);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Run `ops` ({ gate, param, qubits, noiseless? }) `shots` times. Returns
+     * { shots, requested, measured, exact, noisy, tvd, outcomes: [{ key, count, freq, sigma, ideal }] }
+     * with outcomes sorted by key; sigma is the binomial standard error
+     * √(f(1 − f)/N) of the observed frequency f, tvd is null without an ideal.
+     * `shots` is below `requested` when shot-by-shot simulation hit MAX_WORK.
+     */
+    function run(ops, shots) {
+        shots = Math.max(1, Math.min(MAX_SHOTS, Math.floor(shots) || 1));
+        const requested = shots;
+        const n = wireCount(ops);
+
+        let measured = [...new Set(ops.filter(op => op.gate === 'MEASURE').map(op => op.qubits[0]))];
+        const terminal = new Set();
+        if (measured.length === 0) {
+            // No MEASURE: read out every wire at the end
+            ops = ops.concat(Array.from({ length: n }, (_, q) => ({ gate: 'MEASURE', qubits: [q] })));
+            measured = Array.from({ length: n }, (_, q) => q);
+        }
+        measured.sort((a, b) => a - b);
+        ops.forEach((op, i) => {
+            if (op.gate === 'MEASURE' && isTerminal(ops, i)) terminal.add(i);
+        });
+
+        const noisy = NoiseModel.isEnabled();
+        const dist = distribution(ops, n, measured, terminal);
+        let counts;
+        if (dist && !noisy) {
+            counts = sample(dist, shots);
+        } else {
+            shots = Math.min(shots, maxTrajectories(ops, n));
+            counts = simulate(ops, n, measured, shots, noisy);
+        }
+
+        const keys = new Set([...counts.keys(), ...(dist ? dist.keys() : [])]);
+        const outcomes = [...keys].sort().map(key => {
+            const count = counts.get(key) || 0;
+            const freq = count / shots;
+            return {
+                key, count, freq,
+                sigma: Math.sqrt(freq * (1 - freq) / shots),
+                ideal: dist ? dist.get(key) || 0 : null
+            };
+        });
+
+        const tvd = dist ? outcomes.reduce((s, o) => s + Math.abs(o.freq - o.ideal), 0) / 2 : null;
+        return { shots, requested, measured, exact: !!dist, noisy, tvd, outcomes };
+    }
+
+    /**
+     * Ensemble-averaged ρ of qubit q after `ops`, as { rho, sigma }. Exact
+     * (sigma null) when no two-qubit gate touches q, from q's own gates and
+     * channels, or when noiseless, over measurement branches. Otherwise the
+     * mean over `trajectories` noisy (or too-branchy) trajectories, as many
+     * as MAX_WORK allows, with sigma the standard error [σx, σy, σz] of its
+     * Bloch vector.
+     */
+    function reducedState(ops, q, trajectories = 2000) {
+        if (!ops.some(op => op.qubits.length === 2 && op.qubits.includes(q))) {
+            return { rho: singleQubitState(ops.filter(op => op.qubits.includes(q))), sigma: null };
+        }
+        const n = Math.max(wireCount(ops), q + 1);
+        const branches = NoiseModel.isEnabled() ? null : evolveBranches(ops, n, new Set());
+        if (branches) {
+            return { rho: mixture(branches.map(b => [b.p, StateVector.reducedDensityMatrix(b.sv, q)])), sigma: null };
+        }
+
+        const steps = prepareSteps(ops, NoiseModel.isEnabled());
+        trajectories = Math.min(trajectories, maxTrajectories(ops, n));
+        const terms = [];
+        const sum = [0, 0, 0], sumSq = [0, 0, 0];
+        for (let k = 0; k < trajectories; k++) {
+            const r = StateVector.reducedDensityMatrix(runShot(steps, n, {}), q);
+            const { x, y, z } = QubitMath.blochVector(r);
+            [x, y, z].forEach((v, i) => { sum[i] += v; sumSq[i] += v * v; });
+            terms.push([1 / trajectories, r]);
+        }
+        const sigma = sum.map((s, i) => {
+            const variance = (sumSq[i] - s * s / trajectories) / Math.max(1, trajectories - 1);
+            return Math.sqrt(Math.max(0, variance) / trajectories);
+        });
+        return { rho: mixture(terms), sigma };
+    }
+
+    // ρ of a qubit no two-qubit gate touches, from its own `ops`: each gate
+    // and its NoiseModel channels exactly on the 2×2 ρ, a MEASURE leaving the
+    // mixture of its outcomes
+    function singleQubitState(ops) {
+        const { c, pureState, applyUnitary } = QubitMath;
+        let rho = pureState(c(1), c(0));
+        for (const { op, noise, U } of prepareSteps(ops, NoiseModel.isEnabled())) {
+            if (op.gate === 'MEASURE') {
+                rho = [[c(rho[0][0].re), c(0)], [c(0), c(rho[1][1].re)]];
+                continue;
+            }
+            if (!U) continue;
+            rho = applyUnitary(rho, U);
+            if (noise) rho = NoiseModel.applyToRho(rho, noise);
+        }
+        return rho;
+    }
+
+    // Σ w ρ over [w, ρ] terms
+    function mixture(terms) {
+        const { c } = QubitMath;
+        const rho = [[c(0), c(0)], [c(0), c(0)]];
+        for (const [w, r] of terms) {
+            for (let i = 0; i < 2; i++) {
+                for (let j = 0; j < 2; j++) {
+                    rho[i][j].re += w * r[i][j].re;
+                    rho[i][j].im += w * r[i][j].im;
+                }
+            }
+        }
+        return rho;
+    }
+
+    return { run, reducedState, MAX_SHOTS, MAX_WORK };
+})();
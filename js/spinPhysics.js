@@ -1,218 +1,466 @@
 /**
- * spinPhysics.js — 1-Qubit Hamiltonian Solver (v3)
+ * spinPhysics.js — 1-Qubit Density-Matrix Solver (v4)
  *
- * Full quantum state evolution with:
- *   H = -½ γ B · σ (free precession)
- *   H_pulse = -½ Ω_R σ_x (Rabi drive in rotating frame)
+ * Open-system state evolution of ρ (2×2 density matrix), in the frame
+ * rotating with the microwave drive at ω_d:
+ *   H = ½ Δ σ_z + ½ Ω_R (cos φ σ_x + sin φ σ_y)
+ *   Δ = ω_L − ω_d (detuning), Ω_R = γ B1, φ = drive phase
+ *   Off resonance the spin nutates at Ω_gen = √(Ω_R² + Δ²) about a tilted
+ *   axis, so P(|1⟩) only reaches Ω_R² / Ω_gen².
+ * Shaped pulses (pulseShapes.js) make Ω_R and φ time dependent, with a DRAG
+ * quadrature on top; every frame is integrated with a fourth-order Magnus
+ * propagator whose sub-steps follow the field strength, not the frame rate.
  *
- * Decoherence: T1 (energy relaxation) + T2 (dephasing)
- *   - T1 relaxation: drives |1⟩→|0⟩ at rate 1/T1
- *   - T2 dephasing: destroys off-diagonal coherence at rate 1/T2
+ * Lab frame (no RWA): the addressed dot can instead be integrated against the
+ * full linearly polarized field, H = ½ ω_L σ_z + Ω_R cos(ω_d t + φ) σ_x,
+ * whose counter-rotating half shifts the resonance up by the Bloch–Siegert
+ * shift ≈ Ω_R² / 4ω_L. The propagator is taken back to the rotating frame,
+ *   U_rot = V(t₁)† U_lab V(t₀),   V(t) = exp(−i ω_d t σ_z / 2)
+ * so ρ stays comparable with the RWA result. Spectator dots stay in the RWA.
+ *
+ * Decoherence: Lindblad master equation (see qubitMath.js)
+ *   - Amplitude damping: relaxes ρ₁₁ toward the thermal population at rate 1/T1
+ *   - Pure dephasing: destroys off-diagonal coherence so ρ₀₁ decays at 1/T2
+ *     (or 1/T2* when the Ramsey dephasing source is selected)
  *   - Thermal excitation: Boltzmann factor exp(-ΔE/kBT)
+ *   The Bloch vector shrinks inside the sphere as the state becomes mixed.
+ *   The register's copy of the addressed qubit gets one sampled trajectory of
+ *   the same dissipator, so ρ re-derived from the register keeps the decay.
+ *
+ * Larmor frequencies: ω_L = g μ_B B / h per dot, with g Stark-shifted by the
+ * gate voltages (starkShift.js). The microwave drive reaches every dot; only
+ * those near resonance nutate fully, which is how dots are addressed. The
+ * other dots are kept in their own rotating frames, so they do not drift
+ * between gates; only a drive acts on them, at their detuning. Each
+ * dot also carries a quasi-static Overhauser shift from the ²⁹Si bath,
+ * redrawn every shot (reset or measurement).
+ *
+ * Gate operations: X, Y, Z, H, S, T, Rx(θ), Ry(θ), Rz(θ) on any register
+ * qubit, arbitrary single-qubit unitaries U3(θ, φ, λ), Rn(θ, n̂) and custom
+ * 2×2 matrices U, plus two-qubit CNOT, CZ, SWAP, √SWAP (control/first qubit,
+ * target).
+ * With NoiseModel enabled each gate carries its error channels: exact on ρ,
+ * one sampled trajectory on the register (so ρ follows that sample after a
+ * two-qubit gate on the addressed qubit).
  *
- * Gate operations: X, Y, Z, H, S, T, Rx(θ), Ry(θ), Rz(θ)
+ * Measurement projects the spin; with Readout enabled the reported bit comes
+ * from a simulated spin-to-charge conversion and can be wrong.
+ *
+ * This ρ belongs to the addressed qubit (lattice qubit 0, under the dot's
+ * gates). Its coherent operations are mirrored into QuantumRegister so the
+ * lattice markers of every qubit reflect their own reduced states.
  */
 
 const SpinPhysics = (() => {
+    const { c, cscale, cexp, matMul, dagger, rotation, magnusPropagator, applyUnitary, lindbladStep, pureState,
+        cloneRho, blochVector, purity, hermitize, axisAngle, unitarityError, orthonormalize } = QubitMath;
+
     // Physical constants
-    const GYROMAGNETIC_RATIO = 28.024e9; // γ/2π in Hz/T (electron in silicon)
+    const GYROMAGNETIC_RATIO = 28.024e9; // γ/2π in Hz/T (electron in silicon), drive coupling
+    const BOHR_HZ_PER_T = 13.99624e9;    // μ_B / h; Larmor = g μ_B B / h with g from StarkShift
     const KB = 1.380649e-23;
     const MU_B = 9.2740100783e-24;
-    const G_FACTOR = 2.0;
 
-    // State: complex amplitudes |ψ⟩ = α|0⟩ + β|1⟩
-    let alpha = { re: 1, im: 0 };
-    let beta = { re: 0, im: 0 };
+    // State: density matrix ρ, starting in |0⟩⟨0|
+    let rho = pureState(c(1), c(0));
 
     // Field parameters
     let Bz = 1.0;           // T
     let B1_max = 0.1;       // T (pulse amplitude)
-    let larmorFreq = GYROMAGNETIC_RATIO * Bz;
+    let larmorFreq = GYROMAGNETIC_RATIO * Bz; // until evolve() applies the Stark shift
     let rabiFreq = 0;
 
+    // Microwave drive
+    let driveFreq = larmorFreq; // Hz
+    let drivePhase = 0;         // rad, drive axis angle in the XY plane
+    let driveLocked = true;     // drive follows ω_L until set explicitly
+    let carrierPhase = 0;       // ω_d t mod 2π, the lab-frame clock
+    let labFrame = false;       // addressed dot without the rotating-wave approximation
+
+    // Which coherence time drives the pure-dephasing collapse operator
+    let dephasingSource = 'T2'; // 'T2' (Hahn echo) | 'T2star' (Ramsey)
+
     // Simulation timescale
     const TIME_SCALE = 50e-9;
 
+    // Register index of the qubit this ρ describes
+    const ADDRESSED_QUBIT = 0;
+
     // Gate log for quantum computing I/O
     const gateLog = [];
 
-    // Complex arithmetic
-    function cmul(a, b) { return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re }; }
-    function cadd(a, b) { return { re: a.re + b.re, im: a.im + b.im }; }
-    function csub(a, b) { return { re: a.re - b.re, im: a.im - b.im }; }
-    function cscale(a, s) { return { re: a.re * s, im: a.im * s }; }
-    function cnorm2(a) { return a.re * a.re + a.im * a.im; }
-    function cexp(theta) { return { re: Math.cos(theta), im: Math.sin(theta) }; }
-    function conj(a) { return { re: a.re, im: -a.im }; }
+    // Seeded stream shared with QuantumRegister for measurement outcomes
+    const rand = Rng.stream('measurement');
+
+    // Larmor frequency (Hz) of register qubit `index` from its Stark-shifted g,
+    // and with this shot's Overhauser shift on top
+    function bareLarmorOf(index) {
+        return StarkShift.gFactor(index) * BOHR_HZ_PER_T * Bz;
+    }
+
+    function larmorOf(index) {
+        return bareLarmorOf(index) + overhauserOffset(index);
+    }
+
+    // ─── Overhauser Field ────
+    // Quasi-static ²⁹Si hyperfine shift per dot (Hz), redrawn at every reset or
+    // measurement so repeated shots see different Larmor frequencies. With the
+    // T2* dephasing source the Lindblad term already averages over it.
+    const overhauser = [];
+    const overhauserRand = Rng.stream('overhauser');
+
+    function resampleOverhauser() {
+        const sigma = Decoherence.getState().overhauserSigma;
+        for (let i = 0; i < overhauser.length; i++) overhauser[i] = sigma * Rng.gaussian(overhauserRand);
+    }
+
+    function overhauserOffset(index) {
+        if (dephasingSource === 'T2star') return 0;
+        while (overhauser.length <= index) {
+            overhauser.push(Decoherence.getState().overhauserSigma * Rng.gaussian(overhauserRand));
+        }
+        return overhauser[index];
+    }
+
+    function getOverhauserMHz(index = ADDRESSED_QUBIT) { return overhauserOffset(index) / 1e6; }
+
+    // ─── Time Evolution (rotating frame) ────
+    // Shaped pulse being played: PulseShapes.drive() plus elapsed time (s)
+    let shapedPulse = null;
+
+    /**
+     * Start a shaped pulse { shape, duration (s), angle (rad), beta (s) }, or a
+     * ready-made drive such as PulseShapes.piecewise(), on the current drive
+     * frequency and phase; it plays out over the following evolve() calls.
+     * Returns its duration in seconds of frame time.
+     */
+    function playPulse(spec) {
+        if (!(spec.duration > 0)) return 0;
+        const drive = typeof spec.at === 'function' ? spec : PulseShapes.drive(spec);
+        shapedPulse = { ...drive, elapsed: 0 };
+        return shapedPulse.duration / TIME_SCALE;
+    }
+
+    function isPlayingPulse() { return shapedPulse !== null; }
 
-    // ─── Time Evolution ────
+    // Split the frame at the end of a shaped pulse so the rest precesses freely,
+    // and at the segment breaks of a piecewise pulse
     function evolve(dt, isPulsing) {
-        const simDt = dt * TIME_SCALE;
-        const omegaL = 2 * Math.PI * GYROMAGNETIC_RATIO * Bz;
-        larmorFreq = GYROMAGNETIC_RATIO * Bz;
-
-        if (isPulsing) {
-            rabiFreq = GYROMAGNETIC_RATIO * B1_max;
-            const omegaR = 2 * Math.PI * rabiFreq;
-            const angle = omegaR * simDt;
-            const cosH = Math.cos(angle / 2);
-            const sinH = Math.sin(angle / 2);
-
-            const newAlpha = cadd(cscale(alpha, cosH), cmul({ re: 0, im: -sinH }, beta));
-            const newBeta = cadd(cmul({ re: 0, im: -sinH }, alpha), cscale(beta, cosH));
-            alpha = newAlpha;
-            beta = newBeta;
-        } else {
-            rabiFreq = 0;
+        let remaining = dt * TIME_SCALE;
+        larmorFreq = larmorOf(ADDRESSED_QUBIT);
+        // A locked drive sits on the bath-averaged resonance
+        if (driveLocked) driveFreq = bareLarmorOf(ADDRESSED_QUBIT);
+
+        const square = 2 * Math.PI * GYROMAGNETIC_RATIO * B1_max;
+        const hold = { peak: square, at: () => [square, 0] };
+        while (remaining > 0) {
+            const pulse = shapedPulse;
+            const drive = pulse || (isPulsing ? hold : null);
+            const t0 = pulse ? pulse.elapsed : 0;
+            const next = pulse ? nextBreak(pulse, t0) : 0;
+            const span = pulse ? Math.min(remaining, next - t0) : remaining;
+            rabiFreq = drive ? Math.hypot(...drive.at(t0)) / (2 * Math.PI) : 0;
+
+            applyUnitaryAll(labFrame && drive
+                ? labPropagate(larmorFreq, drive, t0, span, carrierPhase)
+                : propagate(larmorFreq - driveFreq, drive, t0, span));
+
+            // The other dots see the same drive at their own detuning
+            for (let i = 0; i < QuantumRegister.getQubitCount(); i++) {
+                if (i !== ADDRESSED_QUBIT) driveSpectator(i, drive, t0, span);
+            }
+
+            remaining -= span;
+            carrierPhase = (carrierPhase + 2 * Math.PI * driveFreq * span) % (2 * Math.PI);
+            if (pulse) {
+                pulse.elapsed += span;
+                if (pulse.elapsed >= pulse.duration * (1 - 1e-9)) shapedPulse = null;
+            }
         }
+    }
 
-        // Free precession (Larmor)
-        const phase = omegaL * simDt / 2;
-        alpha = cmul(alpha, cexp(phase));
-        beta = cmul(beta, cexp(-phase));
-        normalize();
+    // ─── Spectator Frames ────
+    // Each spectator is held in the frame rotating at its own Larmor frequency,
+    // so the ideal gates of applyGate stay exact however long it idles between
+    // them. framePhase[i] is the angle its frame has turned relative to the
+    // drive's, ∫ 2π (f_L,i − f_d) dt; in the drive frame the qubit reads
+    // Rz(framePhase[i]) |ψ⟩. A drive is applied through that virtual Z,
+    //   U_own = Rz(−θ₁) U_drive Rz(θ₀),
+    // which is the identity for free precession.
+    const framePhase = [];
+
+    function driveSpectator(i, drive, t0, span) {
+        const detuning = larmorOf(i) - driveFreq;
+        const before = framePhase[i] || 0;
+        const after = (before + 2 * Math.PI * detuning * span) % (2 * Math.PI);
+        framePhase[i] = after;
+        if (!drive) return;
+        const U = propagate(detuning, drive, t0, span);
+        QuantumRegister.applyMatrix(i, matMul(rotation(0, 0, 1, -after), matMul(U, rotation(0, 0, 1, before))));
     }
 
-    // ─── Physics-Accurate Decoherence ────
-    function applyDecoherence(dt, decoState) {
-        if (!decoState) return;
-        const simDt = dt * TIME_SCALE;
-        const T1 = decoState.T1;
-        const T2 = decoState.T2;
-        const thermalExc = decoState.thermalExcitation;
-
-        // T1 relaxation: decay toward thermal equilibrium
-        // ρ₁₁(t) → P_th + (ρ₁₁(0) - P_th) · exp(-t/T1)
-        if (T1 > 0 && T1 < 1e6) {
-            const p1 = cnorm2(beta);
-            const p_eq = thermalExc; // thermal equilibrium population of |1⟩
-            const decay1 = Math.exp(-simDt / T1);
-            const newP1 = p_eq + (p1 - p_eq) * decay1;
-            const clampedP1 = Math.max(0, Math.min(1, newP1));
-            const newP0 = 1 - clampedP1;
-
-            const currentP0 = cnorm2(alpha);
-            const currentP1 = cnorm2(beta);
-
-            if (currentP0 > 1e-12) alpha = cscale(alpha, Math.sqrt(newP0 / currentP0));
-            if (currentP1 > 1e-12) beta = cscale(beta, Math.sqrt(clampedP1 / currentP1));
+    // Frame of register qubit `index` relative to the drive's: its rate
+    // f_L,i − f_d (Hz) and the angle turned so far; the addressed qubit is
+    // held in the drive frame itself
+    function getFrame(index) {
+        if (index === ADDRESSED_QUBIT) return { offset: 0, phase: 0 };
+        return { offset: larmorOf(index) - driveFreq, phase: framePhase[index] || 0 };
+    }
+
+    /**
+     * Drop register qubit `index` (it is measured first, see
+     * StateVector.removeQubit) and renumber the spectator frames. When the
+     * addressed qubit goes, the next one takes its place and is turned into
+     * the drive frame; ρ is re-derived either way, since the measurement can
+     * collapse the addressed qubit through entanglement.
+     */
+    function removeQubit(index) {
+        if (!QuantumRegister.removeQubit(index)) return;
+        framePhase.splice(index, 1);
+        if (index === ADDRESSED_QUBIT && framePhase.length > ADDRESSED_QUBIT) {
+            QuantumRegister.applyMatrix(ADDRESSED_QUBIT, rotation(0, 0, 1, framePhase[ADDRESSED_QUBIT] || 0));
+            framePhase[ADDRESSED_QUBIT] = 0;
         }
+        syncFromRegister();
+    }
 
-        // T2 dephasing: decay of off-diagonal coherence
-        // |α*β| → |α*β| · exp(-t/T2)
-        if (T2 > 0 && T2 < 1e6) {
-            const decay2 = Math.exp(-simDt / T2);
-            // Multiply β by a phase-preserving shrink factor
-            // This reduces |α||β| while preserving individual probabilites (approximately)
-            const currentCoherence = Math.sqrt(cnorm2(alpha) * cnorm2(beta));
-            if (currentCoherence > 1e-12) {
-                // Apply random phase kicks proportional to dephasing
-                const phaseKick = (1 - decay2) * (Math.random() - 0.5) * 0.1;
-                beta = cmul(beta, cexp(phaseKick));
-            }
+    // First segment boundary of a pulse after t0, or its end
+    function nextBreak(pulse, t0) {
+        const tol = pulse.duration * 1e-9;
+        const next = (pulse.breaks || []).find(b => b > t0 + tol);
+        return next === undefined ? pulse.duration : next;
+    }
+
+    /**
+     * Propagator over [t0, t0 + span] (s) for a qubit at `detuning` (Hz) under
+     * `drive` ({ peak, at(t) → [I, Q] } in rad/s, or null for free precession),
+     * with the drive's I/Q rotated onto the drive phase. Sub-stepped by
+     * QubitMath.magnusPropagator, so the result does not depend on frame rate.
+     */
+    function propagate(detuning, drive, t0, span) {
+        const wz = 2 * Math.PI * detuning;
+        if (!drive) return rotation(0, 0, 1, wz * span);
+        const co = Math.cos(drivePhase), s = Math.sin(drivePhase);
+        const field = t => {
+            const [i, q] = drive.at(t);
+            return [i * co - q * s, i * s + q * co, wz];
+        };
+        return magnusPropagator(field, t0, span, Math.hypot(drive.peak, wz));
+    }
+
+    /**
+     * Rotating-frame propagator of a dot at `larmor` (Hz) integrated in the lab
+     * frame: the drive's I/Q (at phase φ) modulates a carrier starting at phase
+     * c0, b_lab = [2 Re((I + iQ) e^(iφ) e^(i(c0 + ω_d τ))), 0, ω_L]. Sub-steps
+     * resolve both the ~28 GHz precession and the carrier.
+     */
+    function labPropagate(larmor, drive, t0, span, c0) {
+        const wd = 2 * Math.PI * driveFreq, wL = 2 * Math.PI * larmor;
+        const co = Math.cos(drivePhase), s = Math.sin(drivePhase);
+        const field = tau => {
+            const [i, q] = drive.at(t0 + tau);
+            const carrier = c0 + wd * tau;
+            const re = i * co - q * s, im = i * s + q * co;
+            return [2 * (re * Math.cos(carrier) - im * Math.sin(carrier)), 0, wL];
+        };
+        const U = magnusPropagator(field, 0, span, Math.hypot(2 * drive.peak, wL) + wd);
+        return matMul(dagger(rotation(0, 0, 1, c0 + wd * span)), matMul(U, rotation(0, 0, 1, c0)));
+    }
+
+    function setLabFrame(on) { labFrame = !!on; }
+    function isLabFrame() { return labFrame; }
+
+    /**
+     * Resonance shift (MHz) of the addressed dot at the set B1 from the
+     * counter-rotating field: { numeric, estimate }. `numeric` is the change
+     * in the effective detuning of the lab-frame propagator over one drive
+     * period, averaged over four carrier phases to cancel the micromotion;
+     * `estimate` is the Bloch–Siegert formula Ω_R² / 4 f_L.
+     */
+    function getBlochSiegertMHz() {
+        const omega = 2 * Math.PI * GYROMAGNETIC_RATIO * B1_max;
+        const estimate = (GYROMAGNETIC_RATIO * B1_max) ** 2 / (4 * larmorFreq) / 1e6;
+        if (!(driveFreq > 0)) return { numeric: NaN, estimate };
+        const period = 1 / driveFreq;
+        const square = { peak: omega, at: () => [omega, 0] };
+        let dz = 0;
+        for (let k = 0; k < 4; k++) {
+            const { nz, angle } = axisAngle(labPropagate(larmorFreq, square, 0, period, k * Math.PI / 2));
+            dz += nz * angle / (2 * Math.PI * period) / 4;
         }
+        return { numeric: (dz - (larmorFreq - driveFreq)) / 1e6, estimate };
+    }
 
-        normalize();
+    // U on ρ and on the addressed qubit of the register
+    function applyUnitaryAll(U) {
+        rho = applyUnitary(rho, U);
+        QuantumRegister.applyMatrix(ADDRESSED_QUBIT, U);
     }
 
-    function normalize() {
-        const norm = Math.sqrt(cnorm2(alpha) + cnorm2(beta));
-        if (norm > 1e-10) {
-            alpha = cscale(alpha, 1 / norm);
-            beta = cscale(beta, 1 / norm);
+    // Re-derive ρ from the register (e.g. after the addressed qubit changed)
+    function syncFromRegister() {
+        if (QuantumRegister.getQubitCount() > ADDRESSED_QUBIT) {
+            rho = hermitize(QuantumRegister.getReducedDensityMatrix(ADDRESSED_QUBIT));
         }
     }
 
+    // Bloch vector of any lattice qubit; the addressed one includes dissipation
+    function getQubitBlochVector(index) {
+        if (index === ADDRESSED_QUBIT) return blochVector(rho);
+        return QuantumRegister.getBlochVector(index);
+    }
+
+    // ─── Lindblad Decoherence ────
+    const dissipationRand = Rng.stream('dissipation');
+
+    function applyDecoherence(dt, decoState) {
+        if (!decoState) return;
+        const simDt = dt * TIME_SCALE;
+        const T2 = dephasingSource === 'T2star' ? decoState.T2star : decoState.T2;
+        rho = lindbladStep(rho, simDt, decoState.T1, T2, decoState.thermalExcitation);
+        sampleDissipation(simDt, decoState.T1, T2, decoState.thermalExcitation);
+    }
+
+    // The same dissipator as one quantum trajectory on the register's copy of
+    // the addressed qubit: decay toward p_th split into down and up jumps,
+    // plus phase flips for the dephasing beyond T1. Whenever ρ is re-derived
+    // from the register (exchange, two-qubit gates) it keeps this decay.
+    function sampleDissipation(dt, T1, T2, pThermal) {
+        if (QuantumRegister.getQubitCount() <= ADDRESSED_QUBIT) return;
+        const gamma1 = T1 > 0 && T1 < 1e6 ? 1 / T1 : 0;
+        const gPhi = T2 > 0 && T2 < 1e6 ? Math.max(0, 1 / T2 - gamma1 / 2) : 0;
+        const relax = 1 - Math.exp(-dt * gamma1);
+        const dephasing = (1 - Math.exp(-dt * gPhi)) / 2;
+        const none = { depolarizing: 0, damping: 0, dephasing: 0 };
+        QuantumRegister.applyNoise([ADDRESSED_QUBIT], { ...none, damping: relax * (1 - pThermal), dephasing }, dissipationRand);
+        if (relax * pThermal > 0) {
+            // Excitation is damping toward |1⟩: X, damp, X
+            const X = gateMatrix('X');
+            QuantumRegister.applyMatrix(ADDRESSED_QUBIT, X);
+            QuantumRegister.applyNoise([ADDRESSED_QUBIT], { ...none, damping: relax * pThermal }, dissipationRand);
+            QuantumRegister.applyMatrix(ADDRESSED_QUBIT, X);
+        }
+    }
+
+    function setDephasingSource(source) {
+        if (source === 'T2' || source === 'T2star') dephasingSource = source;
+    }
+
+    function getDephasingSource() { return dephasingSource; }
+
     // ─── Quantum Gate Operations ────
-    function applyGate(gateName, param) {
-        let newAlpha, newBeta;
+    // Largest ‖U†U − I‖ accepted for a custom matrix (entries rounded to ~4 digits)
+    const UNITARY_TOL = 1e-3;
+
+    /**
+     * 2×2 matrix of a single-qubit gate, or null if unknown or invalid.
+     * param: angle θ for Rx/Ry/Rz (π/2 when omitted), [θ, φ, λ] for U3,
+     * [θ, nx, ny, nz] for Rn, the complex 2×2 matrix itself for U.
+     */
+    function gateMatrix(gateName, param) {
         const S2 = 1 / Math.sqrt(2);
+        const angle = param === undefined || param === null ? Math.PI / 2 : param;
 
         switch (gateName) {
-            case 'X': // Pauli-X (NOT)
-                newAlpha = beta;
-                newBeta = alpha;
-                break;
-
-            case 'Y': // Pauli-Y
-                newAlpha = cmul({ re: 0, im: -1 }, beta);
-                newBeta = cmul({ re: 0, im: 1 }, alpha);
-                break;
-
-            case 'Z': // Pauli-Z
-                newAlpha = alpha;
-                newBeta = cscale(beta, -1);
-                break;
-
-            case 'H': // Hadamard
-                newAlpha = cscale(cadd(alpha, beta), S2);
-                newBeta = cscale(csub(alpha, beta), S2);
-                break;
-
-            case 'S': // S gate (phase π/2)
-                newAlpha = alpha;
-                newBeta = cmul({ re: 0, im: 1 }, beta);
-                break;
-
-            case 'T': // T gate (phase π/4)
-                newAlpha = alpha;
-                newBeta = cmul(cexp(Math.PI / 4), beta);
-                break;
-
-            case 'Rx': { // Rx(θ)
-                const t = (param || Math.PI / 2) / 2;
-                const c = Math.cos(t), s = Math.sin(t);
-                newAlpha = cadd(cscale(alpha, c), cmul({ re: 0, im: -s }, beta));
-                newBeta = cadd(cmul({ re: 0, im: -s }, alpha), cscale(beta, c));
-                break;
+            case 'X': return [[c(0), c(1)], [c(1), c(0)]];             // Pauli-X (NOT)
+            case 'Y': return [[c(0), c(0, -1)], [c(0, 1), c(0)]];       // Pauli-Y
+            case 'Z': return [[c(1), c(0)], [c(0), c(-1)]];             // Pauli-Z
+            case 'H': return [[c(S2), c(S2)], [c(S2), c(-S2)]];         // Hadamard
+            case 'S': return [[c(1), c(0)], [c(0), c(0, 1)]];           // S gate (phase π/2)
+            case 'T': return [[c(1), c(0)], [c(0), cexp(Math.PI / 4)]]; // T gate (phase π/4)
+            case 'Rx': return rotation(1, 0, 0, angle);
+            case 'Ry': return rotation(0, 1, 0, angle);
+            case 'Rz': return rotation(0, 0, 1, angle);
+            case 'U3': return Array.isArray(param) && param.length === 3 ? u3(...param) : null;
+            case 'Rn': {
+                if (!Array.isArray(param) || param.length !== 4) return null;
+                const [theta, nx, ny, nz] = param;
+                return nx * nx + ny * ny + nz * nz > 1e-12 ? rotation(nx, ny, nz, theta) : null;
             }
+            case 'U': return Array.isArray(param) && unitarityError(param) < UNITARY_TOL ? orthonormalize(param) : null;
+            default: return null;
+        }
+    }
 
-            case 'Ry': { // Ry(θ)
-                const t = (param || Math.PI / 2) / 2;
-                const c = Math.cos(t), s = Math.sin(t);
-                newAlpha = cadd(cscale(alpha, c), cscale(beta, -s));
-                newBeta = cadd(cscale(alpha, s), cscale(beta, c));
-                break;
-            }
+    // U3(θ, φ, λ) = Rz(φ) Ry(θ) Rz(λ) up to global phase, with U3(θ, 0, 0) = Ry(θ)
+    function u3(theta, phi, lambda) {
+        const co = Math.cos(theta / 2), s = Math.sin(theta / 2);
+        return [
+            [c(co), cscale(cexp(lambda), -s)],
+            [cscale(cexp(phi), s), cscale(cexp(phi + lambda), co)]
+        ];
+    }
 
-            case 'Rz': { // Rz(θ)
-                const t = (param || Math.PI / 2) / 2;
-                newAlpha = cmul(cexp(-t), alpha);
-                newBeta = cmul(cexp(t), beta);
-                break;
-            }
+    // 4×4 operators in the basis |q1 q2⟩ = |00⟩, |01⟩, |10⟩, |11⟩ (q1 = control)
+    const TWO_QUBIT_GATES = ['CNOT', 'CZ', 'SWAP', 'SQRTSWAP'];
 
-            default: return;
+    function twoQubitMatrix(gateName) {
+        const o = c(0), l = c(1);
+        const p = c(0.5, 0.5), m = c(0.5, -0.5);
+        switch (gateName) {
+            case 'CNOT': return [[l, o, o, o], [o, l, o, o], [o, o, o, l], [o, o, l, o]];
+            case 'CZ': return [[l, o, o, o], [o, l, o, o], [o, o, l, o], [o, o, o, c(-1)]];
+            case 'SWAP': return [[l, o, o, o], [o, o, l, o], [o, l, o, o], [o, o, o, l]];
+            case 'SQRTSWAP': return [[l, o, o, o], [o, p, m, o], [o, m, p, o], [o, o, o, l]];
+            default: return null;
         }
+    }
 
-        alpha = newAlpha;
-        beta = newBeta;
-        normalize();
+    function applyGate(gateName, param, target = ADDRESSED_QUBIT, control) {
+        const noise = NoiseModel.isEnabled() ? NoiseModel.getParams(gateName) : null;
+        const eps = noise ? noise.overRotation : 0;
+
+        if (TWO_QUBIT_GATES.includes(gateName)) {
+            const M = NoiseModel.noisyMatrix(gateName, param, eps);
+            if (control === undefined || control === target) return;
+            QuantumRegister.applyTwoQubit(control, target, M);
+            if (noise) QuantumRegister.applyNoise([control, target], noise);
+            if (control === ADDRESSED_QUBIT || target === ADDRESSED_QUBIT) syncFromRegister();
+        } else {
+            const U = NoiseModel.noisyMatrix(gateName, param, eps);
+            if (!U) return;
+            if (target === ADDRESSED_QUBIT) {
+                applyUnitaryAll(U);
+                if (noise) rho = NoiseModel.applyToRho(rho, noise);
+            } else {
+                QuantumRegister.applyMatrix(target, U);
+            }
+            if (noise) QuantumRegister.applyNoise([target], noise);
+        }
 
         gateLog.push({
             gate: gateName,
-            param: param || null,
+            param: param === undefined ? null : param,
+            qubits: control === undefined ? [target] : [control, target],
             time: Date.now(),
             stateAfter: { p0: getP0(), p1: getP1(), theta: getBlochAngles().theta, phi: getBlochAngles().phi }
         });
     }
 
-    function measure() {
-        const p1 = cnorm2(beta);
-        const result = Math.random() < p1 ? 1 : 0;
+    function measure(target = ADDRESSED_QUBIT) {
+        let spin;
+        if (target === ADDRESSED_QUBIT) {
+            spin = rand() < getP1() ? 1 : 0;
 
-        // Collapse
-        if (result === 0) {
-            alpha = { re: 1, im: 0 };
-            beta = { re: 0, im: 0 };
+            // Collapse
+            rho = spin === 0 ? pureState(c(1), c(0)) : pureState(c(0), c(1));
+            QuantumRegister.collapse(ADDRESSED_QUBIT, spin);
         } else {
-            alpha = { re: 0, im: 0 };
-            beta = { re: 1, im: 0 };
+            // Collapsing a partner can collapse the addressed qubit too
+            spin = QuantumRegister.measure(target);
+            syncFromRegister();
         }
 
+        // Elzerman readout may misreport the projected spin; every lattice
+        // dot is read with the addressed dot's tuning
+        const result = Readout.isEnabled() ? Readout.read(spin) : spin;
+        resampleOverhauser();
+
         gateLog.push({
             gate: 'MEASURE',
             result,
+            spin,
+            qubits: [target],
             time: Date.now(),
             stateAfter: { p0: getP0(), p1: getP1() }
         });
@@ -221,19 +469,34 @@ const SpinPhysics = (() => {
     }
 
     function reset() {
-        alpha = { re: 1, im: 0 };
-        beta = { re: 0, im: 0 };
+        rho = pureState(c(1), c(0));
+        shapedPulse = null;
+        framePhase.length = 0;
+        QuantumRegister.reset();
+        resampleOverhauser();
+    }
+
+    function getP0() { return rho[0][0].re; }
+    function getP1() { return rho[1][1].re; }
+
+    function getBlochVector() { return blochVector(rho); }
+
+    function getBlochLength() {
+        const r = blochVector(rho);
+        return Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
     }
 
-    function getP0() { return cnorm2(alpha); }
-    function getP1() { return cnorm2(beta); }
+    function getPurity() { return purity(rho); }
 
+    function getDensityMatrix() { return cloneRho(rho); }
+
+    // Direction of the Bloch vector; falls back to the z-projection when ρ ≈ I/2
     function getBlochAngles() {
-        const p1 = getP1();
-        const theta = 2 * Math.acos(Math.min(1, Math.sqrt(1 - p1)));
-        const phaseAlpha = Math.atan2(alpha.im, alpha.re);
-        const phaseBeta = Math.atan2(beta.im, beta.re);
-        let phi = phaseBeta - phaseAlpha;
+        const r = blochVector(rho);
+        const len = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+        const cosTheta = len > 1e-9 ? r.z / len : r.z;
+        const theta = Math.acos(Math.max(-1, Math.min(1, cosTheta)));
+        let phi = Math.atan2(r.y, r.x);
         while (phi < 0) phi += 2 * Math.PI;
         while (phi >= 2 * Math.PI) phi -= 2 * Math.PI;
         return { theta, phi };
@@ -241,34 +504,80 @@ const SpinPhysics = (() => {
 
     function setBField(bz) {
         Bz = bz;
-        larmorFreq = GYROMAGNETIC_RATIO * Bz;
+        larmorFreq = larmorOf(ADDRESSED_QUBIT);
+        if (driveLocked) driveFreq = bareLarmorOf(ADDRESSED_QUBIT);
         Decoherence.setBfield(bz);
     }
 
     function getLarmorGHz() { return larmorFreq / 1e9; }
+
+    // Resonance of any register qubit, for addressing it with the drive
+    function getQubitLarmorGHz(index) { return larmorOf(index) / 1e9; }
     function getRabiMHz() { return rabiFreq / 1e6; }
 
+    // ─── Drive Controls ────
+    function setDriveFrequency(ghz) {
+        driveFreq = ghz * 1e9;
+        driveLocked = false;
+    }
+
+    function lockDriveToLarmor() {
+        driveLocked = true;
+        driveFreq = bareLarmorOf(ADDRESSED_QUBIT);
+    }
+
+    function setDrivePhase(phase) { drivePhase = phase; }
+    function setB1(b1) { B1_max = Math.max(0, b1); }
+
+    function getDriveGHz() { return driveFreq / 1e9; }
+    function getDrivePhase() { return drivePhase; }
+    function getB1() { return B1_max; }
+    function isDriveLocked() { return driveLocked; }
+    function getDetuningMHz() { return (larmorFreq - driveFreq) / 1e6; }
+
+    // Nutation frequency √(Ω² + Δ²) and peak P(|1⟩) = Ω² / (Ω² + Δ²) for the set B1
+    function getGeneralizedRabiMHz() {
+        return Math.hypot(GYROMAGNETIC_RATIO * B1_max, larmorFreq - driveFreq) / 1e6;
+    }
+
+    function getRabiContrast() {
+        const omega = GYROMAGNETIC_RATIO * B1_max;
+        const gen2 = omega * omega + (larmorFreq - driveFreq) ** 2;
+        return gen2 > 0 ? omega * omega / gen2 : 0;
+    }
+
     function getStateLabel() {
         const p0 = getP0(), p1 = getP1();
+        if (getPurity() < 0.99) return `ρ mixed · |r| = ${getBlochLength().toFixed(2)}, P(|1⟩) = ${p1.toFixed(2)}`;
         if (p0 > 0.99) return '|ψ⟩ = |0⟩';
         if (p1 > 0.99) return '|ψ⟩ = |1⟩';
         return `|ψ⟩ = ${Math.sqrt(p0).toFixed(2)}|0⟩ + ${Math.sqrt(p1).toFixed(2)}|1⟩`;
     }
 
+    // Pure state along the Bloch direction (exact when Tr ρ² = 1)
     function getStateVector() {
-        return { alpha: { ...alpha }, beta: { ...beta } };
+        const { theta, phi } = getBlochAngles();
+        return {
+            alpha: c(Math.cos(theta / 2)),
+            beta: cscale(cexp(phi), Math.sin(theta / 2))
+        };
     }
 
     function getGateLog() { return [...gateLog]; }
     function clearGateLog() { gateLog.length = 0; }
 
     return {
-        evolve, applyDecoherence, reset,
+        evolve, playPulse, isPlayingPulse, applyDecoherence, setDephasingSource, getDephasingSource, reset,
+        syncFromRegister, removeQubit, getFrame, getQubitBlochVector,
         getP0, getP1, getBlochAngles,
-        setBField, getLarmorGHz, getRabiMHz,
+        getBlochVector, getBlochLength, getPurity, getDensityMatrix,
+        setBField, getLarmorGHz, getQubitLarmorGHz, getOverhauserMHz, resampleOverhauser, getRabiMHz,
+        setDriveFrequency, lockDriveToLarmor, setDrivePhase, setB1, setLabFrame, isLabFrame, getBlochSiegertMHz,
+        getDriveGHz, getDrivePhase, getB1, isDriveLocked,
+        getDetuningMHz, getGeneralizedRabiMHz, getRabiContrast,
         getStateLabel, getStateVector,
-        applyGate, measure,
+        gateMatrix, twoQubitMatrix, applyGate, measure,
         getGateLog, clearGateLog,
-        TIME_SCALE
+        TIME_SCALE, ADDRESSED_QUBIT, TWO_QUBIT_GATES, UNITARY_TOL
     };
 })();
@@ -0,0 +1,61 @@
+/**
+ * starkShift.js — Gate-Voltage Dependent g-Factor
+ *
+ * The electric field from the gates pulls the electron against the Si/SiO₂
+ * interface, where spin–orbit coupling shifts its g-factor (Stark shift):
+ *   g_i = g₀ (1 + δ_i + k_i [η₂ v_C² + η₁ (v_R − v_L)])
+ *   - g₀: g-factor of the active material profile (Decoherence.getMaterial)
+ *   - v_C, v_L, v_R: gate voltages as fractions of full scale
+ *   - η₂ v_C²: vertical field from the centre gate (quadratic Stark shift)
+ *   - η₁ (v_R − v_L): lateral field from the side plungers (linear)
+ *   - δ_i: static offset of dot i from interface roughness, Gaussian with
+ *     σ = DOT_SPREAD, seeded per lattice qubit (0 for the addressed dot)
+ *   - k_i = e^(−d_i / CROSSTALK_LENGTH): how strongly dot i, a distance d_i
+ *     from the addressed dot, feels that dot's gates (1 for the dot itself)
+ * At 1 T, |η₂| = 2×10⁻³ spans ~56 MHz across the centre-gate range, so
+ * tuning the addressed dot moves it away from its neighbours' resonances.
+ */
+
+const StarkShift = (() => {
+    const ETA_QUADRATIC = -2e-3;    // δg/g at full centre voltage
+    const ETA_LINEAR = 4e-4;        // δg/g per full-scale plunger asymmetry
+    const DOT_SPREAD = 3e-4;        // σ of δg/g between dots
+    const CROSSTALK_LENGTH = 3;     // lattice scene units
+
+    const offsets = new Map();      // lattice qubit id → δ
+    let offsetSeed = null;
+
+    // Static offset of a lattice qubit, stable for a given seed
+    function dotOffset(id) {
+        if (offsetSeed !== Rng.getSeed()) {
+            offsets.clear();
+            offsetSeed = Rng.getSeed();
+        }
+        if (!offsets.has(id)) offsets.set(id, DOT_SPREAD * Rng.gaussian(Rng.stream('stark/' + id)));
+        return offsets.get(id);
+    }
+
+    // Relative shift η₂ v_C² + η₁ (v_R − v_L) of the addressed dot
+    function gateShift() {
+        const { vLeft, vCenter, vRight } = QuantumDot.getGateVoltages();
+        const vc = vCenter / 100;
+        return ETA_QUADRATIC * vc * vc + ETA_LINEAR * (vRight - vLeft) / 100;
+    }
+
+    /**
+     * g-factor of register qubit `index` (same order as Lattice.getQubits());
+     * register qubits without a lattice marker get no offset or crosstalk.
+     */
+    function gFactor(index) {
+        const shift = gateShift();
+        const g0 = Decoherence.getMaterial().gFactor;
+        if (index === SpinPhysics.ADDRESSED_QUBIT) return g0 * (1 + shift);
+        const qubits = typeof Lattice !== 'undefined' ? Lattice.getQubits() : [];
+        const self = qubits[index], ref = qubits[SpinPhysics.ADDRESSED_QUBIT];
+        if (!self || !ref) return g0;
+        const k = Math.exp(-self.position.distanceTo(ref.position) / CROSSTALK_LENGTH);
+        return g0 * (1 + dotOffset(self.id) + k * shift);
+    }
+
+    return { gFactor, gateShift };
+})();
@@ -0,0 +1,185 @@
+/**
+ * stateVector.js — N-Qubit State-Vector Engine
+ *
+ * Pure functions on register objects { n, re, im } holding the 2^n complex
+ * amplitudes of |ψ⟩ = Σ_k a_k |k⟩. Qubit q is bit q of the basis index k
+ * (little-endian), so |q0 q1 …⟩ labels read with q0 first.
+ *
+ *   - Single-qubit and controlled 2×2 operators, general 4×4 two-qubit operators
+ *   - Reduced single-qubit density matrices (partial trace over the rest)
+ *   - Projective Z measurement with collapse (caller supplies the uniform
+ *     generator, normally a seeded Rng stream)
+ *   - Growing (|0⟩ appended) and shrinking (qubit measured, then dropped) the register
+ */
+
+const StateVector = (() => {
+    function create(n) {
+        const size = 1 << n;
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        re[0] = 1;
+        return { n, re, im };
+    }
+
+    function clone(sv) {
+        return { n: sv.n, re: Float64Array.from(sv.re), im: Float64Array.from(sv.im) };
+    }
+
+    // U = [[a, b], [c, d]] acting on qubit q
+    function applySingle(sv, q, U) {
+        const bit = 1 << q;
+        const { re, im } = sv;
+        const [[a, b], [c, d]] = U;
+        for (let i = 0; i < re.length; i++) {
+            if (i & bit) continue;
+            const j = i | bit;
+            const r0 = re[i], i0 = im[i], r1 = re[j], i1 = im[j];
+            re[i] = a.re * r0 - a.im * i0 + b.re * r1 - b.im * i1;
+            im[i] = a.re * i0 + a.im * r0 + b.re * i1 + b.im * r1;
+            re[j] = c.re * r0 - c.im * i0 + d.re * r1 - d.im * i1;
+            im[j] = c.re * i0 + c.im * r0 + d.re * i1 + d.im * r1;
+        }
+    }
+
+    // U on `target` where `control` is |1⟩
+    function applyControlled(sv, control, target, U) {
+        const cbit = 1 << control, tbit = 1 << target;
+        const { re, im } = sv;
+        const [[a, b], [c, d]] = U;
+        for (let i = 0; i < re.length; i++) {
+            if (!(i & cbit) || (i & tbit)) continue;
+            const j = i | tbit;
+            const r0 = re[i], i0 = im[i], r1 = re[j], i1 = im[j];
+            re[i] = a.re * r0 - a.im * i0 + b.re * r1 - b.im * i1;
+            im[i] = a.re * i0 + a.im * r0 + b.re * i1 + b.im * r1;
+            re[j] = c.re * r0 - c.im * i0 + d.re * r1 - d.im * i1;
+            im[j] = c.re * i0 + c.im * r0 + d.re * i1 + d.im * r1;
+        }
+    }
+
+    // 4×4 operator M on (q1, q2) in the basis |q1 q2⟩ = |00⟩, |01⟩, |10⟩, |11⟩
+    function applyTwoQubit(sv, q1, q2, M) {
+        const b1 = 1 << q1, b2 = 1 << q2;
+        const { re, im } = sv;
+        const idx = [0, 0, 0, 0];
+        const ar = [0, 0, 0, 0], ai = [0, 0, 0, 0];
+        for (let i = 0; i < re.length; i++) {
+            if ((i & b1) || (i & b2)) continue;
+            idx[0] = i; idx[1] = i | b2; idx[2] = i | b1; idx[3] = i | b1 | b2;
+            for (let k = 0; k < 4; k++) { ar[k] = re[idx[k]]; ai[k] = im[idx[k]]; }
+            for (let r = 0; r < 4; r++) {
+                let sr = 0, si = 0;
+                for (let k = 0; k < 4; k++) {
+                    const m = M[r][k];
+                    sr += m.re * ar[k] - m.im * ai[k];
+                    si += m.re * ai[k] + m.im * ar[k];
+                }
+                re[idx[r]] = sr;
+                im[idx[r]] = si;
+            }
+        }
+    }
+
+    function probabilityOne(sv, q) {
+        const bit = 1 << q;
+        let p = 0;
+        for (let i = 0; i < sv.re.length; i++) {
+            if (i & bit) p += sv.re[i] * sv.re[i] + sv.im[i] * sv.im[i];
+        }
+        return p;
+    }
+
+    // ρ_q = Tr_{rest} |ψ⟩⟨ψ|, as a 2×2 complex matrix
+    function reducedDensityMatrix(sv, q) {
+        const bit = 1 << q;
+        const { re, im } = sv;
+        let p0 = 0, p1 = 0, cr = 0, ci = 0;
+        for (let i = 0; i < re.length; i++) {
+            if (i & bit) continue;
+            const j = i | bit;
+            p0 += re[i] * re[i] + im[i] * im[i];
+            p1 += re[j] * re[j] + im[j] * im[j];
+            // a_i · conj(a_j)
+            cr += re[i] * re[j] + im[i] * im[j];
+            ci += im[i] * re[j] - re[i] * im[j];
+        }
+        return [
+            [{ re: p0, im: 0 }, { re: cr, im: ci }],
+            [{ re: cr, im: -ci }, { re: p1, im: 0 }]
+        ];
+    }
+
+    // Keep only the branch where qubit q reads `outcome`; returns its probability
+    function project(sv, q, outcome) {
+        const bit = 1 << q;
+        const { re, im } = sv;
+        let p = 0;
+        for (let i = 0; i < re.length; i++) {
+            if (((i & bit) ? 1 : 0) === outcome) p += re[i] * re[i] + im[i] * im[i];
+        }
+        if (p < 1e-15) return 0;
+        const s = 1 / Math.sqrt(p);
+        for (let i = 0; i < re.length; i++) {
+            if (((i & bit) ? 1 : 0) === outcome) {
+                re[i] *= s; im[i] *= s;
+            } else {
+                re[i] = 0; im[i] = 0;
+            }
+        }
+        return p;
+    }
+
+    function measure(sv, q, rand) {
+        const outcome = rand() < probabilityOne(sv, q) ? 1 : 0;
+        project(sv, q, outcome);
+        return outcome;
+    }
+
+    // Append a fresh qubit in |0⟩ as the new highest index
+    function addQubit(sv) {
+        const out = create(sv.n + 1);
+        out.re.fill(0);
+        out.re.set(sv.re);
+        out.im.set(sv.im);
+        return out;
+    }
+
+    // Drop qubit q from the register by measuring it in Z first: a pure state
+    // cannot hold the mixed remainder Tr_q |ψ⟩⟨ψ|, so one branch is kept with
+    // its Born weight and entangled partners collapse with it (a Bell partner
+    // ends in |0⟩ or |1⟩). A qubit in a product state leaves the others untouched.
+    function removeQubit(sv, q, rand) {
+        const outcome = measure(sv, q, rand);
+        const out = create(sv.n - 1);
+        const low = (1 << q) - 1;
+        for (let k = 0; k < out.re.length; k++) {
+            const i = (k & low) | ((k & ~low) << 1) | (outcome << q);
+            out.re[k] = sv.re[i];
+            out.im[k] = sv.im[i];
+        }
+        return out;
+    }
+
+    function blochVector(sv, q) {
+        const rho = reducedDensityMatrix(sv, q);
+        return {
+            x: 2 * rho[0][1].re,
+            y: -2 * rho[0][1].im,
+            z: rho[0][0].re - rho[1][1].re
+        };
+    }
+
+    function normalize(sv) {
+        let norm = 0;
+        for (let i = 0; i < sv.re.length; i++) norm += sv.re[i] * sv.re[i] + sv.im[i] * sv.im[i];
+        if (norm < 1e-20) return;
+        const s = 1 / Math.sqrt(norm);
+        for (let i = 0; i < sv.re.length; i++) { sv.re[i] *= s; sv.im[i] *= s; }
+    }
+
+    return {
+        create, clone, applySingle, applyControlled, applyTwoQubit,
+        probabilityOne, reducedDensityMatrix, project, measure,
+        addQubit, removeQubit, blochVector, normalize
+    };
+})();
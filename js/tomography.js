@@ -0,0 +1,173 @@
+/**
+ * tomography.js — Single-Qubit State Tomography
+ *
+ * Re-prepares the current Quantum Computing circuit N times per basis and
+ * measures one qubit in X, Y and Z. The X and Y readouts use a pre-rotation
+ * before the usual Z measurement:
+ *   X: Ry(−π/2) maps |+⟩ → |0⟩,   Y: Rx(π/2) maps |+i⟩ → |0⟩
+ * Shots are drawn by Shots.run. The pre-rotations are flagged `noiseless`, so
+ * with NoiseModel enabled only the circuit is noisy and the fidelity measures
+ * the state, not the basis change.
+ *
+ * Two reconstructions from the frequencies f_k± (k = x, y, z):
+ *   - linear inversion: r_k = f_k+ − f_k−, ρ = ½(I + r·σ); may leave the
+ *     Bloch ball (|r| > 1, a non-physical ρ) for nearly pure states
+ *   - maximum likelihood: maximise Σ n_k± ln ½(1 ± r_k) over the ball,
+ *     parametrised as r = v · tanh|v| / |v| so the search is unconstrained
+ * Both are compared with the true ensemble ρ of that qubit via the qubit
+ * fidelity F = ½(1 + r·s + √((1 − |r|²)(1 − |s|²))). That reference is exact
+ * unless noise acts on a qubit in two-qubit gates; then it is a trajectory
+ * average and is shown with its standard error.
+ */
+
+const Tomography = (() => {
+    const MAX_SHOTS = 100000;
+    const BASES = [
+        { axis: 'X', pre: { gate: 'Ry', param: -Math.PI / 2 } },
+        { axis: 'Y', pre: { gate: 'Rx', param: Math.PI / 2 } },
+        { axis: 'Z', pre: null }
+    ];
+    const COLORS = { truth: '#34a853', mle: '#1a73e8', linear: '#ea4335' };
+
+    const els = {};
+    let last = null;
+
+    function init() {
+        els.qubit = document.getElementById('tomo-qubit');
+        els.shots = document.getElementById('tomo-shots');
+        els.runBtn = document.getElementById('tomo-run-btn');
+        els.canvasXZ = document.getElementById('tomo-canvas-xz');
+        els.canvasYZ = document.getElementById('tomo-canvas-yz');
+        els.output = document.getElementById('tomo-output');
+        if (!els.runBtn) return;
+
+        els.runBtn.addEventListener('click', () => {
+            run(QuantumComputing.getCircuit(), parseInt(els.qubit.value) || 0, parseInt(els.shots.value));
+        });
+        window.addEventListener('resize', () => { if (last) draw(last); });
+    }
+
+    // ─── Measurement ────
+    // Counts [n+, n−] of `qubit` in one basis after `ops`
+    function measureBasis(ops, qubit, basis, shots) {
+        const tail = basis.pre ? [{ gate: basis.pre.gate, param: basis.pre.param, qubits: [qubit], noiseless: true }] : [];
+        tail.push({ gate: 'MEASURE', qubits: [qubit] });
+        const result = Shots.run(ops.concat(tail), shots);
+        const bit = result.measured.indexOf(qubit);
+        let plus = 0;
+        for (const o of result.outcomes) if (o.key[bit] === '0') plus += o.count;
+        return [plus, result.shots - plus];
+    }
+
+    // ─── Reconstruction ────
+    function linearInversion(counts) {
+        return counts.map(([plus, minus]) => (plus - minus) / (plus + minus));
+    }
+
+    function toBall(v) {
+        const len = Math.hypot(...v);
+        return len < 1e-12 ? v.slice() : v.map(x => x * Math.tanh(len) / len);
+    }
+
+    function maximumLikelihood(counts, r0) {
+        const negLogL = v => {
+            const r = toBall(v);
+            let s = 0;
+            counts.forEach(([plus, minus], k) => {
+                s -= plus * Math.log(Math.max(1e-300, (1 + r[k]) / 2));
+                s -= minus * Math.log(Math.max(1e-300, (1 - r[k]) / 2));
+            });
+            return s;
+        };
+        // Start inside the ball at the linear estimate: invert r = v tanh|v| / |v|
+        const len = Math.min(Math.hypot(...r0), 0.99);
+        const v0 = len > 1e-9 ? r0.map(x => x / Math.hypot(...r0) * Math.atanh(len)) : [0, 0, 0];
+        let { x } = Fitting.nelderMead(negLogL, v0, { scale: [0.3, 0.3, 0.3] });
+        ({ x } = Fitting.nelderMead(negLogL, x, { scale: [0.05, 0.05, 0.05] }));
+        return toBall(x);
+    }
+
+    function fidelity(r, s) {
+        const dot = r[0] * s[0] + r[1] * s[1] + r[2] * s[2];
+        const mixed = Math.max(0, 1 - dot3(r)) * Math.max(0, 1 - dot3(s));
+        return Math.min(1, (1 + dot + Math.sqrt(mixed)) / 2);
+    }
+
+    function dot3(r) { return r[0] * r[0] + r[1] * r[1] + r[2] * r[2]; }
+
+    function blochOf(rho) {
+        const b = QubitMath.blochVector(rho);
+        return [b.x, b.y, b.z];
+    }
+
+    /**
+     * Tomography of `qubit` after `ops` with `shots` per basis. Returns the
+     * counts, linear-inversion and MLE Bloch vectors, the true Bloch vector
+     * and both fidelities.
+     */
+    function run(ops, qubit, shots) {
+        shots = Math.max(10, Math.min(MAX_SHOTS, shots || 1000));
+
+        const counts = BASES.map(basis => measureBasis(ops, qubit, basis, shots));
+        // Shots.run may have capped a shot-by-shot simulation
+        shots = counts[0][0] + counts[0][1];
+        const linear = linearInversion(counts);
+        const mle = maximumLikelihood(counts, linear);
+        const reference = Shots.reducedState(ops, qubit);
+        const truth = blochOf(reference.rho);
+
+        last = {
+            qubit, shots, counts, linear, mle, truth, truthSigma: reference.sigma,
+            physical: dot3(linear) <= 1 + 1e-12,
+            fidelityLinear: fidelity(linear, truth),
+            fidelityMle: fidelity(mle, truth),
+            noisy: NoiseModel.isEnabled()
+        };
+        draw(last);
+        showResults(last);
+        return last;
+    }
+
+    // ─── Display ────
+    // One Bloch-ball projection: unit circle plus the three vectors
+    function drawProjection(canvas, a, b, labels, { linear, mle, truth }) {
+        const circle = Array.from({ length: 97 }, (_, i) => {
+            const t = 2 * Math.PI * i / 96;
+            return [Math.cos(t), Math.sin(t)];
+        });
+        const arrow = (r, color, dash) => ({ kind: 'line', color, dash, width: 2, points: [[0, 0], [r[a], r[b]]] });
+        Plot.draw(canvas, {
+            xRange: [-1.1, 1.1], yRange: [-1.1, 1.1],
+            xLabel: labels[0], yLabel: labels[1],
+            series: [
+                { kind: 'line', color: '#bdc1c6', width: 1, points: circle },
+                arrow(truth, COLORS.truth),
+                arrow(linear, COLORS.linear, [4, 3]),
+                arrow(mle, COLORS.mle),
+                { kind: 'dots', color: COLORS.linear, points: [[linear[a], linear[b]]] },
+                { kind: 'dots', color: COLORS.mle, points: [[mle[a], mle[b]]] }
+            ]
+        });
+    }
+
+    function draw(result) {
+        if (els.canvasXZ) drawProjection(els.canvasXZ, 0, 2, ['x', 'z'], result);
+        if (els.canvasYZ) drawProjection(els.canvasYZ, 1, 2, ['y', 'z'], result);
+    }
+
+    function showResults({ qubit, shots, counts, linear, mle, truth, truthSigma, physical, fidelityLinear, fidelityMle, noisy }) {
+        if (!els.output) return;
+        const vec = r => `(${r.map(x => x.toFixed(3)).join(', ')})`;
+        const row = (color, label, text) => `
+            <div class="experiment-fit-row"><span style="color:${color}">●</span> ${label} ${text}</div>`;
+        els.output.innerHTML = [
+            row('#5f6368', `q${qubit}, ${shots.toLocaleString()} shots/basis${noisy ? ' (noisy)' : ''}:`,
+                counts.map(([p, m], k) => `${BASES[k].axis} ${p}/${m}`).join(' · ')),
+            row(COLORS.truth, 'true', `r = ${vec(truth)}${truthSigma ? ` ± ${vec(truthSigma)} (trajectory average)` : ''}, |r| ${Math.hypot(...truth).toFixed(3)}`),
+            row(COLORS.linear, 'linear', `r = ${vec(linear)}, F ${fidelityLinear.toFixed(4)}${physical ? '' : ' — outside the Bloch ball'}`),
+            row(COLORS.mle, 'MLE', `r = ${vec(mle)}, F ${fidelityMle.toFixed(4)}`)
+        ].join('');
+    }
+
+    return { init, run, fidelity };
+})();
@@ -3,10 +3,22 @@
  *
  * ALL parameters are properly wired:
  *   - Gate voltages → QuantumDot potential
- *   - Temperature → Decoherence physics (T1, T2, thermal excitation)
+ *   - Material preset / JSON profile → Decoherence reference data, g-factor, header chip
+ *   - Temperature setpoint → fridge model → Decoherence physics (T1, T2, thermal excitation)
+ *   - T1 mechanism shares, temperature × field sweep maps with CSV export
+ *   - ²⁹Si fraction → Overhauser noise (T2*, per-shot Larmor offsets), lattice isotopes
  *   - B-field → SpinPhysics Larmor frequency + Decoherence Zeeman
- *   - Pulse → Rabi oscillations
- *   - Decoherence → SpinPhysics state decay
+ *   - Gate voltages → Stark-shifted g-factor, per-dot resonance list
+ *   - Pulse → Rabi oscillations (drive frequency, phase, B1 amplitude)
+ *   - Shaped pulses → gaussian / cosine / sinc / DRAG envelopes through the Magnus integrator
+ *   - Lab-frame toggle → drive without the RWA, Bloch–Siegert shift readout
+ *   - Barrier gate → exchange J between lattice qubits
+ *   - Decoherence → SpinPhysics Lindblad decay (purity, Bloch length), dephasing at T2 or T2*
+ *   - Seed → Rng streams (reproducible measurements, mirrored in ?seed=)
+ *   - Gate voltages + temperature → Elzerman readout alignment and fidelity
+ *   - Experiments → Ramsey fringes and T2* fit, Hahn/CPMG echo decay and T2 fit,
+ *     Clifford randomized benchmarking, single-qubit state tomography of the circuit
+ *   - Optimal control → GRAPE-designed I/Q waveforms played on the qubit
  */
 
 const UI = (() => {
@@ -36,15 +48,30 @@ const UI = (() => {
         els.sliderTemp = document.getElementById('slider-temp');
         els.tempVal = document.getElementById('temp-value');
         els.headerTemp = document.getElementById('header-temp');
+        els.fridgeTempVal = document.getElementById('fridge-temp-value');
+        els.fridgePowerVal = document.getElementById('fridge-power-value');
+        els.headerMaterial = document.getElementById('header-material');
+        els.materialPreset = document.getElementById('material-preset');
+        els.materialCustom = document.getElementById('material-custom');
+        els.materialJson = document.getElementById('material-json');
+        els.materialApply = document.getElementById('material-apply-btn');
+        els.materialStatus = document.getElementById('material-status');
         els.headerBfield = document.getElementById('header-bfield');
+        els.seedInput = document.getElementById('seed-input');
         els.hudT2 = document.getElementById('hud-t2');
         els.hudCoherence = document.getElementById('hud-coherence');
+        els.hudPurity = document.getElementById('hud-purity');
         els.larmorVal = document.getElementById('larmor-value');
 
         // Physics readouts
         els.t1Val = document.getElementById('t1-value');
         els.t2Val = document.getElementById('t2-value');
         els.t2starVal = document.getElementById('t2star-value');
+        els.sliderSi29 = document.getElementById('slider-si29');
+        els.dephasingSource = document.getElementById('dephasing-source');
+        els.si29Val = document.getElementById('si29-value');
+        els.overhauserSigmaVal = document.getElementById('overhauser-sigma-value');
+        els.overhauserShotVal = document.getElementById('overhauser-shot-value');
         els.thermalVal = document.getElementById('thermal-value');
         els.zeemanVal = document.getElementById('zeeman-value');
         els.kbtVal = document.getElementById('kbt-value');
@@ -56,12 +83,34 @@ const UI = (() => {
         els.thetaVal = document.getElementById('theta-value');
         els.phiVal = document.getElementById('phi-value');
         els.p1Val = document.getElementById('p1-value');
+        els.purityVal = document.getElementById('purity-value');
+        els.blochLenVal = document.getElementById('bloch-length-value');
         els.probBar0 = document.getElementById('prob-bar-0');
         els.probBar1 = document.getElementById('prob-bar-1');
         els.probText0 = document.getElementById('prob-0-text');
         els.probText1 = document.getElementById('prob-1-text');
         els.stateLabel = document.getElementById('footer-state-label');
         els.rabiVal = document.getElementById('rabi-value');
+        els.larmorVal2 = document.getElementById('larmor-value-2');
+
+        // Stage 4 — Microwave drive
+        els.inputDriveFreq = document.getElementById('input-drive-freq');
+        els.btnDriveLock = document.getElementById('btn-drive-lock');
+        els.sliderDrivePhase = document.getElementById('slider-drive-phase');
+        els.drivePhaseVal = document.getElementById('drive-phase-val');
+        els.sliderB1 = document.getElementById('slider-b1');
+        els.b1Val = document.getElementById('b1-val');
+        els.detuningVal = document.getElementById('detuning-value');
+        els.genRabiVal = document.getElementById('gen-rabi-value');
+        els.labFrameToggle = document.getElementById('lab-frame-toggle');
+        els.blochSiegertVal = document.getElementById('bloch-siegert-value');
+        els.dotResonances = document.getElementById('dot-resonances');
+
+        // Stage 4 — Exchange coupling
+        els.sliderBarrier = document.getElementById('slider-barrier');
+        els.barrierVal = document.getElementById('barrier-val');
+        els.exchangeJVal = document.getElementById('exchange-j-value');
+        els.swapTimeVal = document.getElementById('swap-time-value');
 
         // Pulse
         els.pulseBtn = document.getElementById('pulse-button');
@@ -79,9 +128,17 @@ const UI = (() => {
         wireButtons();
         wireToggles();
         wirePulse();
+        wireSeed();
 
-        // Init quantum computing
+        // Init experiments and quantum computing
+        try { DecoherenceMaps.init(); } catch (e) { console.warn('DecoherenceMaps init:', e); }
+        try { Readout.init(); } catch (e) { console.warn('Readout init:', e); }
+        try { Ramsey.init(); } catch (e) { console.warn('Ramsey init:', e); }
+        try { Decoupling.init(); } catch (e) { console.warn('Decoupling init:', e); }
+        try { Benchmarking.init(); } catch (e) { console.warn('Benchmarking init:', e); }
+        try { Grape.init(); } catch (e) { console.warn('GRAPE init:', e); }
         try { QuantumComputing.init(); } catch (e) { console.warn('QC init:', e); }
+        try { Tomography.init(); } catch (e) { console.warn('Tomography init:', e); }
     }
 
     // ─── Slider Wiring ────
@@ -104,13 +161,37 @@ const UI = (() => {
         wireGate(els.sliderVc, els.vcVal);
         wireGate(els.sliderVr, els.vrVal);
 
-        // Temperature → physics-accurate decoherence
+        // Temperature → fridge setpoint; the sample relaxes toward it
         if (els.sliderTemp) {
             els.sliderTemp.addEventListener('input', () => {
                 const t = parseInt(els.sliderTemp.value);
                 if (els.tempVal) els.tempVal.innerHTML = t + '<small> mK</small>';
-                if (els.headerTemp) els.headerTemp.textContent = t + ' mK';
-                Decoherence.setTemperature(t);
+                Fridge.setSetpoint(t);
+            });
+        }
+
+        wireMaterial();
+
+        // ²⁹Si fraction (log slider, ppm) → Overhauser bath + lattice isotopes
+        if (els.sliderSi29) {
+            els.sliderSi29.addEventListener('input', () => {
+                const ppm = Math.pow(10, parseFloat(els.sliderSi29.value));
+                if (els.si29Val) {
+                    els.si29Val.innerHTML = ppm >= 1e4
+                        ? (ppm / 1e4).toFixed(2) + '<small> %</small>'
+                        : (ppm >= 100 ? Math.round(ppm) : +ppm.toPrecision(2)) + '<small> ppm</small>';
+                }
+                Decoherence.setSi29Fraction(ppm * 1e-6);
+                Lattice.setSi29Fraction(ppm * 1e-6);
+                SpinPhysics.resampleOverhauser();
+            });
+        }
+
+        // Dephasing source → which coherence time the Lindblad term uses
+        if (els.dephasingSource) {
+            els.dephasingSource.addEventListener('change', () => {
+                SpinPhysics.setDephasingSource(els.dephasingSource.value);
+                SpinPhysics.resampleOverhauser();
             });
         }
 
@@ -122,6 +203,46 @@ const UI = (() => {
                 if (els.bfieldVal) els.bfieldVal.textContent = b.toFixed(2) + ' T';
                 if (els.headerBfield) els.headerBfield.textContent = b.toFixed(1) + ' T';
                 SpinPhysics.setBField(b);
+                DecoherenceMaps.refresh();
+            });
+        }
+
+        // Microwave drive → detuning, drive axis, Rabi frequency
+        if (els.inputDriveFreq) {
+            els.inputDriveFreq.addEventListener('change', () => {
+                const f = parseFloat(els.inputDriveFreq.value);
+                if (!(f > 0)) return;
+                SpinPhysics.setDriveFrequency(f);
+                if (els.btnDriveLock) els.btnDriveLock.classList.remove('active');
+            });
+        }
+        if (els.btnDriveLock) {
+            els.btnDriveLock.addEventListener('click', () => {
+                SpinPhysics.lockDriveToLarmor();
+                els.btnDriveLock.classList.add('active');
+            });
+        }
+        if (els.sliderDrivePhase) {
+            els.sliderDrivePhase.addEventListener('input', () => {
+                const deg = parseFloat(els.sliderDrivePhase.value);
+                if (els.drivePhaseVal) els.drivePhaseVal.innerHTML = deg.toFixed(0) + '<small>°</small>';
+                SpinPhysics.setDrivePhase(deg * Math.PI / 180);
+            });
+        }
+        if (els.sliderB1) {
+            els.sliderB1.addEventListener('input', () => {
+                const mT = parseFloat(els.sliderB1.value);
+                if (els.b1Val) els.b1Val.innerHTML = mT.toFixed(1) + '<small> mT</small>';
+                SpinPhysics.setB1(mT / 1000);
+            });
+        }
+
+        // Barrier gate → exchange J between lattice qubits
+        if (els.sliderBarrier) {
+            els.sliderBarrier.addEventListener('input', () => {
+                const v = parseFloat(els.sliderBarrier.value);
+                if (els.barrierVal) els.barrierVal.innerHTML = v.toFixed(1) + '<small> mV</small>';
+                Exchange.setBarrierVoltage(v);
             });
         }
     }
@@ -184,11 +305,71 @@ const UI = (() => {
                 AudioFeedback.toggle();
             });
         }
+        if (els.labFrameToggle) {
+            els.labFrameToggle.addEventListener('click', () => {
+                els.labFrameToggle.classList.toggle('active');
+                SpinPhysics.setLabFrame(els.labFrameToggle.classList.contains('active'));
+            });
+        }
+    }
+
+    // Material preset or custom JSON profile → Decoherence (and the g-factor);
+    // the ²⁹Si slider jumps to the profile's reference enrichment
+    function wireMaterial() {
+        if (!els.materialPreset) return;
+        const apply = profile => {
+            Decoherence.setMaterial(profile);
+            DecoherenceMaps.refresh();
+            if (els.headerMaterial) els.headerMaterial.textContent = profile.chip;
+            if (els.sliderSi29) {
+                els.sliderSi29.value = Math.log10(Math.max(1, profile.si29 * 1e6)).toFixed(3);
+                els.sliderSi29.dispatchEvent(new Event('input'));
+            }
+        };
+        els.materialPreset.addEventListener('change', () => {
+            const id = els.materialPreset.value;
+            const custom = id === 'custom';
+            if (els.materialCustom) els.materialCustom.hidden = !custom;
+            if (custom) {
+                // Start from the active profile
+                if (els.materialJson && !els.materialJson.value.trim()) {
+                    els.materialJson.value = Materials.toJSON(Decoherence.getMaterial());
+                }
+                return;
+            }
+            apply(Materials.get(id));
+        });
+        if (els.materialApply && els.materialJson) {
+            els.materialApply.addEventListener('click', () => {
+                try {
+                    const profile = Materials.fromJSON(els.materialJson.value);
+                    apply(profile);
+                    if (els.materialStatus) els.materialStatus.textContent = `Applied “${profile.name}”`;
+                } catch (e) {
+                    if (els.materialStatus) els.materialStatus.textContent = e.message;
+                }
+            });
+        }
+    }
+
+    // Seed → restart every random stream and the circuit from a clean state
+    function wireSeed() {
+        if (!els.seedInput) return;
+        els.seedInput.value = Rng.getSeed();
+        els.seedInput.addEventListener('change', () => {
+            Rng.setSeed(els.seedInput.value);
+            els.seedInput.value = Rng.getSeed();
+            const url = new URL(location.href);
+            url.searchParams.set('seed', Rng.getSeed());
+            history.replaceState(null, '', url);
+            QuantumComputing.resetCircuit();
+        });
     }
 
     function wirePulse() {
         if (!els.pulseBtn) return;
         PulseController.init(els.pulseBtn, els.pulseRingFg);
+        try { PulseController.initShapedPulse(); } catch (e) { console.warn('Shaped pulse init:', e); }
     }
 
     // ─── Stage Management ────
@@ -221,6 +402,55 @@ const UI = (() => {
         });
     }
 
+    // Actual sample temperature and the loads on the mixing chamber
+    let lastFridgeTemp = NaN;
+    function updateFridge() {
+        const f = Fridge.getState();
+        const fmtT = mK => mK >= 100 ? Math.round(mK) + ' mK' : mK.toFixed(1) + ' mK';
+        const fmtP = w => w >= 1e-3 ? (w * 1e3).toFixed(1) + ' mW' : (w * 1e6).toFixed(1) + ' μW';
+        if (els.headerTemp) els.headerTemp.textContent = fmtT(f.temperature);
+        if (els.fridgeTempVal) {
+            els.fridgeTempVal.textContent = fmtT(f.temperature) + (f.setpoint < f.base ? ` (base ${f.base.toFixed(1)})` : '');
+        }
+        if (els.fridgePowerVal) els.fridgePowerVal.textContent = `${fmtP(f.heater)} · ${fmtP(f.mwLoad)}`;
+        // Redraw the mechanism chart's temperature marker as T settles
+        if (!(Math.abs(f.temperature - lastFridgeTemp) < 0.01 * lastFridgeTemp)) {
+            lastFridgeTemp = f.temperature;
+            DecoherenceMaps.refresh();
+        }
+    }
+
+    // Counter-rotating resonance shift at the set B1; recomputed only on change
+    let blochSiegertKey = '';
+    function updateBlochSiegert() {
+        if (!els.blochSiegertVal) return;
+        const key = [SpinPhysics.getB1(), SpinPhysics.getLarmorGHz(), SpinPhysics.getDriveGHz()].join();
+        if (key === blochSiegertKey) return;
+        blochSiegertKey = key;
+        const { numeric, estimate } = SpinPhysics.getBlochSiegertMHz();
+        const fmt = mhz => Math.abs(mhz) >= 1 ? mhz.toFixed(2) + ' MHz' : (mhz * 1e3).toFixed(2) + ' kHz';
+        els.blochSiegertVal.textContent = Number.isFinite(numeric) ? `${fmt(numeric)} · Ω²/4ω ${fmt(estimate)}` : '—';
+    }
+
+    // Every dot's resonance and its detuning from the drive; rebuilt only on change
+    function updateDotResonances() {
+        if (!els.dotResonances) return;
+        const drive = SpinPhysics.getDriveGHz();
+        const rows = [];
+        for (let i = 0; i < QuantumRegister.getQubitCount(); i++) {
+            const f = SpinPhysics.getQubitLarmorGHz(i);
+            const detuning = (f - drive) * 1e3;
+            const addressed = i === SpinPhysics.ADDRESSED_QUBIT;
+            rows.push(`<div class="experiment-fit-row${Math.abs(detuning) < 0.05 ? ' dot-resonant' : ''}">
+                q${i}${addressed ? '*' : ''} ${f.toFixed(4)} GHz · Δ ${detuning >= 0 ? '+' : ''}${detuning.toFixed(1)} MHz</div>`);
+        }
+        const html = rows.join('');
+        if (html !== els.dotResonances.dataset.html) {
+            els.dotResonances.innerHTML = html;
+            els.dotResonances.dataset.html = html;
+        }
+    }
+
     // ─── Readout Updates (called every frame) ────
     function updateReadouts() {
         const p0 = SpinPhysics.getP0();
@@ -237,21 +467,62 @@ const UI = (() => {
         if (els.phiVal) els.phiVal.textContent = (angles.phi / Math.PI).toFixed(3) + 'π';
         if (els.p1Val) els.p1Val.textContent = p1.toFixed(4);
 
+        // Mixedness of ρ
+        const purity = SpinPhysics.getPurity();
+        if (els.purityVal) els.purityVal.textContent = purity.toFixed(4);
+        if (els.blochLenVal) els.blochLenVal.textContent = SpinPhysics.getBlochLength().toFixed(4);
+        if (els.hudPurity) els.hudPurity.textContent = 'Tr ρ² = ' + purity.toFixed(3);
+
+        updateFridge();
+
         // Larmor & Rabi
-        if (els.larmorVal) els.larmorVal.textContent = SpinPhysics.getLarmorGHz().toFixed(2) + ' GHz';
+        // 0.1 MHz resolution so the Stark shift of the g-factor is visible
+        if (els.larmorVal) els.larmorVal.textContent = SpinPhysics.getLarmorGHz().toFixed(4) + ' GHz';
         if (els.rabiVal) els.rabiVal.textContent = SpinPhysics.getRabiMHz().toFixed(1) + ' MHz';
+        if (els.larmorVal2) els.larmorVal2.textContent = SpinPhysics.getLarmorGHz().toFixed(4) + ' GHz';
+        updateDotResonances();
+
+        // Drive detuning & generalized Rabi frequency
+        if (els.detuningVal) els.detuningVal.textContent = SpinPhysics.getDetuningMHz().toFixed(1) + ' MHz';
+        if (els.genRabiVal) {
+            els.genRabiVal.textContent = SpinPhysics.getGeneralizedRabiMHz().toFixed(1) + ' MHz · ' +
+                Math.round(SpinPhysics.getRabiContrast() * 100) + '%';
+        }
+        updateBlochSiegert();
+        if (els.inputDriveFreq && SpinPhysics.isDriveLocked() && document.activeElement !== els.inputDriveFreq) {
+            els.inputDriveFreq.value = SpinPhysics.getDriveGHz().toFixed(3);
+        }
+
+        // Exchange coupling
+        if (els.exchangeJVal || els.swapTimeVal) {
+            const strongest = Exchange.getStrongest(Lattice.getCouplings());
+            const active = strongest.J >= Exchange.J_OFF;
+            if (els.exchangeJVal) {
+                els.exchangeJVal.textContent = strongest.J >= 1e6
+                    ? (strongest.J / 1e6).toFixed(2) + ' MHz'
+                    : (strongest.J / 1e3).toFixed(1) + ' kHz';
+            }
+            if (els.swapTimeVal) els.swapTimeVal.textContent = active ? Decoherence.formatTime(strongest.swapTime) : '∞';
+        }
 
         // Physics readouts
         if (els.t1Val) els.t1Val.textContent = Decoherence.getT1String();
         if (els.t2Val) els.t2Val.textContent = Decoherence.getT2String();
         if (els.t2starVal) els.t2starVal.textContent = Decoherence.getT2StarString();
+        if (els.overhauserSigmaVal) {
+            els.overhauserSigmaVal.textContent = (Decoherence.getState().overhauserSigma / 1e3).toFixed(2) + ' kHz';
+        }
+        if (els.overhauserShotVal) els.overhauserShotVal.textContent = (SpinPhysics.getOverhauserMHz() * 1e3).toFixed(2) + ' kHz';
         if (els.thermalVal) els.thermalVal.textContent = (deco.thermalExcitation * 100).toFixed(4) + '%';
         if (els.zeemanVal) els.zeemanVal.textContent = deco.zeemanMeV.toFixed(3) + ' meV';
         if (els.kbtVal) els.kbtVal.textContent = deco.kBT_meV.toFixed(4) + ' meV';
 
         // HUD coherence
-        if (els.hudT2) els.hudT2.textContent = 'T₂ = ' + Decoherence.getT2String();
-        if (els.hudCoherence) els.hudCoherence.textContent = 'T₂ = ' + Decoherence.getT2String();
+        const coherence = SpinPhysics.getDephasingSource() === 'T2star'
+            ? 'T₂* = ' + Decoherence.getT2StarString()
+            : 'T₂ = ' + Decoherence.getT2String();
+        if (els.hudT2) els.hudT2.textContent = coherence;
+        if (els.hudCoherence) els.hudCoherence.textContent = coherence;
 
         // State label
         if (els.stateLabel) els.stateLabel.textContent = SpinPhysics.getStateLabel();
@@ -0,0 +1,53 @@
+/**
+ * circuitParser.test.js — Circuit Text Diagnostics
+ *
+ * Run with `node --test tests/`. Each bad statement must come back as one
+ * diagnostic, with its message and the span it underlines, and produce no
+ * op; good statements around it still parse.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CORE } = require('./loadModules');
+
+const { CircuitParser } = load(CORE.concat(['circuitParser']));
+
+// [message, line, col, underlined text] of every diagnostic
+function diagnose(text) {
+    return CircuitParser.parse(text, 3).errors.map(e => [e.message, e.line, e.col, text.slice(e.start, e.end)]);
+}
+
+test('parses gates, angles and qubits', () => {
+    const { ops, errors } = CircuitParser.parse('RX(pi/2) q1\nCNOT q0 q2\nH', 3);
+    assert.strictEqual(errors.length, 0);
+    assert.deepStrictEqual(ops.map(op => [op.gate, op.qubits]), [['Rx', [1]], ['CNOT', [0, 2]], ['H', [0]]]);
+    assert.ok(Math.abs(ops[0].param - Math.PI / 2) < 1e-12);
+});
+
+test('rejects non-finite angles under the argument', () => {
+    assert.deepStrictEqual(diagnose('RX(exp(1000)) q0'), [['theta is not a finite number', 1, 4, 'exp(1000)']]);
+    assert.deepStrictEqual(diagnose('H q0\nRX(1e400) q1'), [['theta is not a finite number', 2, 4, '1e400']]);
+    assert.deepStrictEqual(diagnose('U3(0, 2^2000, 0) q0'), [['phi is not a finite number', 1, 7, '2^2000']]);
+    assert.deepStrictEqual(diagnose('U(1e400, 0, 0, 1) q0'), [['a is not a finite number', 1, 3, '1e400']]);
+});
+
+test('reports unknown gates, missing arguments and bad matrices', () => {
+    assert.deepStrictEqual(diagnose('HH q0'), [["unknown gate 'HH' (did you mean H?)", 1, 1, 'HH']]);
+    assert.deepStrictEqual(diagnose('RX q0'), [['RX needs (theta)', 1, 1, 'RX']]);
+    assert.match(diagnose('U(1, 1, 1, 1) q0')[0][0], /^U: matrix is not unitary/);
+    assert.deepStrictEqual(diagnose('RX(1/0) q0'), [['division by zero', 1, 5, '/0']]);
+});
+
+test('reports bad qubits and repeat counts', () => {
+    assert.deepStrictEqual(diagnose('X q5'), [['no qubit q5 in the lattice (q0–q2)', 1, 3, 'q5']]);
+    assert.deepStrictEqual(diagnose('CNOT q1 q1'), [['CNOT: control and target must differ', 1, 1, 'CNOT q1 q1']]);
+    assert.deepStrictEqual(diagnose('repeat 2.5 { X q0 }'),
+        [['repeat count must be a whole number from 0 to 1000', 1, 8, '2.5']]);
+    assert.deepStrictEqual(diagnose('H q0 $'), [["unexpected character '$'", 1, 6, '$']]);
+});
+
+test('recovers after an error and keeps the good statements', () => {
+    const { ops, errors } = CircuitParser.parse('X q0\nRX(1e400) q1\nH q2', 3);
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(ops.map(op => [op.gate, op.qubits]), [['X', [0]], ['H', [2]]]);
+});
@@ -0,0 +1,38 @@
+/**
+ * fits.test.js — Ramsey and Randomized-Benchmarking Fits
+ *
+ * Run with `node --test tests/`. Known answers: the exact Ramsey fringes
+ * decay as e^(−(τ/T2*)²), so the fit returns Decoherence's T2* with exponent
+ * 2, and a sampled sweep agrees within its errors; randomized benchmarking
+ * under depolarizing noise returns the model Clifford fidelity.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CORE } = require('./loadModules');
+
+const { Ramsey, Benchmarking, Decoherence, NoiseModel } = load(CORE.concat(['fitting', 'plot', 'ramsey', 'benchmarking']));
+
+test('Ramsey fits the model T2* with a Gaussian envelope', () => {
+    const T2star = Decoherence.getState().T2star;
+    const exact = Ramsey.run({ shots: 0, detunings: [5e3, 12e3] });
+    assert.ok(Math.abs(exact.T2fit / T2star - 1) < 1e-3, `T2* ${exact.T2fit} vs ${T2star}`);
+    for (const { fit } of exact.curves) assert.ok(Math.abs(fit.exponent - 2) < 1e-3, `exponent ${fit.exponent}`);
+
+    const sampled = Ramsey.run({ shots: 1000, detunings: [5e3, 12e3] });
+    assert.ok(Math.abs(sampled.T2fit - T2star) < 4 * sampled.T2fitErr, `T2* ${sampled.T2fit} ± ${sampled.T2fitErr}`);
+    for (const { fit } of sampled.curves) assert.ok(Math.abs(fit.exponent - 2) < 4 * fit.nerr, `exponent ${fit.exponent} ± ${fit.nerr}`);
+});
+
+test('randomized benchmarking recovers the model fidelity', () => {
+    NoiseModel.setEnabled(true);
+    NoiseModel.setParam('ALL', 'depolarizing', 0.01);
+    try {
+        const rb = Benchmarking.run({ maxLength: 200, sequences: 20 });
+        assert.ok(rb.modelFidelity < 0.99);
+        assert.ok(Math.abs(rb.fidelity - rb.modelFidelity) < 1e-3, `F ${rb.fidelity} vs ${rb.modelFidelity}`);
+    } finally {
+        NoiseModel.setParam('ALL', 'depolarizing', 0);
+        NoiseModel.setEnabled(false);
+    }
+});
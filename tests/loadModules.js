@@ -0,0 +1,42 @@
+/**
+ * loadModules.js — Browser Modules in Node
+ *
+ * Shared by the tests: runs the js/ modules, in index.html order, as scripts
+ * in this process's global scope, with stubs for the page (a seeded
+ * location, a lattice of `qubits` dots in a row, the dot gate voltages, an
+ * empty document). `node --test` gives every test file its own process, so
+ * each file loads once. Returns a view of the globals, so `load(...).Shots`
+ * is the module itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function load(modules, { qubits = 3 } = {}) {
+    const position = (x, z) => ({ x, y: 0, z, distanceTo: o => Math.hypot(x - o.x, z - o.z) });
+    Object.assign(globalThis, {
+        location: { search: '?seed=5' },
+        document: { getElementById: () => null, querySelectorAll: () => [], addEventListener() {} },
+        window: { addEventListener() {} },
+        Lattice: {
+            getQubits: () => Array.from({ length: qubits }, (_, id) => ({ id, position: position(1.6 * id, 0) })),
+            getCouplings: () => []
+        },
+        QuantumDot: { getGateVoltages: () => ({ vLeft: 0, vCenter: 80, vRight: 0 }) }
+    });
+    for (const name of modules) {
+        const file = path.join(__dirname, '..', 'js', name + '.js');
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    }
+    // const globals live in the script scope, not on globalThis
+    return new Proxy({}, { get: (_, key) => vm.runInThisContext(String(key)) });
+}
+
+// The physics core every experiment module sits on
+const CORE = [
+    'random', 'qubitMath', 'stateVector', 'quantumRegister', 'noiseModel', 'pulseShapes',
+    'spinPhysics', 'starkShift', 'materials', 'decoherence'
+];
+
+module.exports = { load, CORE };
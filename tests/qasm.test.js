@@ -0,0 +1,49 @@
+/**
+ * qasm.test.js — OpenQASM Import Diagnostics
+ *
+ * Run with `node --test tests/`. Checks the OpenQASM 2/3 detection used by
+ * the circuit box and the diagnostics of the importer's error paths, each
+ * with the line and column it is reported at.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CORE } = require('./loadModules');
+
+const { Qasm } = load(CORE.concat(['circuitParser', 'qasm']));
+
+// [message, line, col] of every diagnostic
+function diagnose(text) {
+    return Qasm.parse(text, 3).errors.map(e => [e.message, e.line, e.col]);
+}
+
+test('detects OpenQASM with or without a header', () => {
+    assert.ok(Qasm.isQasm('OPENQASM 2.0;\nqreg q[1];'));
+    assert.ok(Qasm.isQasm('qubit[2] q;\nh q[0];'));
+    assert.ok(Qasm.isQasm('qreg q[1];'));
+    assert.ok(Qasm.isQasm('include "stdgates.inc";'));
+    assert.ok(!Qasm.isQasm('H q0\nCNOT q0 q1'));
+    assert.ok(!Qasm.isQasm('let x = 2'));
+});
+
+test('imports gates onto the declared registers', () => {
+    const { ops, errors } = Qasm.parse('OPENQASM 3;\nqubit[2] q;\nh q[0];\ncx q[0], q[1];\nrx(pi/2) q[1];', 3);
+    assert.strictEqual(errors.length, 0);
+    assert.deepStrictEqual(ops.map(op => [op.gate, op.qubits]), [['H', [0]], ['CNOT', [0, 1]], ['Rx', [1]]]);
+});
+
+test('rejects non-finite parameters at the statement', () => {
+    assert.deepStrictEqual(diagnose('OPENQASM 2.0;\nqreg q[2];\nrx(1e400) q[0];'), [['parameter is not a finite number', 3, 1]]);
+    assert.deepStrictEqual(diagnose('OPENQASM 3;\nqubit[2] q;\nrx(2**2000) q[1];'), [['parameter is not a finite number', 3, 1]]);
+});
+
+test('reports unknown gates, registers and out-of-range indices', () => {
+    assert.deepStrictEqual(diagnose('OPENQASM 2.0;\nqreg q[2];\nfoo q[0];'), [["unknown gate 'foo'", 3, 1]]);
+    assert.deepStrictEqual(diagnose('OPENQASM 2.0;\nqreg q[2];\nh r[0];'), [["unknown qubit register 'r'", 3, 3]]);
+    assert.deepStrictEqual(diagnose('OPENQASM 2.0;\nqreg q[2];\nh q[5];'), [['index 5 is outside q[0…1]', 3, 5]]);
+});
+
+test('reports unsupported versions and oversized registers', () => {
+    assert.deepStrictEqual(diagnose('OPENQASM 4.0;'), [['OpenQASM 4.0 is not supported (2.x or 3.x)', 1, 10]]);
+    assert.deepStrictEqual(diagnose('OPENQASM 2.0;\nqreg q[9];'), [['9 qubits declared; the lattice has 3', 2, 6]]);
+});
@@ -0,0 +1,57 @@
+/**
+ * shots.test.js — Multi-Shot Runs and Tomography
+ *
+ * Run with `node --test tests/`. Known answers: a Bell pair reads only 00
+ * and 11, each with ideal weight ½, and X reads 1 every time; tomography of
+ * Ry(π/3)|0⟩ recovers r = (sin π/3, 0, cos π/3), and with depolarizing
+ * noise still matches its noisy reference.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CORE } = require('./loadModules');
+
+const { Shots, Tomography, NoiseModel, CircuitParser } = load(CORE.concat(['fitting', 'plot', 'shots', 'circuitParser', 'tomography']));
+
+function circuit(text, qubits = 3) {
+    const { ops, errors } = CircuitParser.parse(text, qubits);
+    assert.strictEqual(errors.length, 0);
+    return ops;
+}
+
+test('a Bell pair reads 00 and 11 only', () => {
+    const result = Shots.run(circuit('H q0\nCNOT q0 q1'), 2000);
+    assert.strictEqual(result.shots, 2000);
+    assert.ok(result.exact);
+    assert.deepStrictEqual(result.outcomes.map(o => o.key), ['00', '11']);
+    for (const o of result.outcomes) {
+        assert.ok(Math.abs(o.ideal - 0.5) < 1e-12);
+        assert.ok(Math.abs(o.freq - 0.5) < 4 * o.sigma + 1e-9, `${o.key}: ${o.freq} ± ${o.sigma}`);
+    }
+    assert.strictEqual(result.outcomes.reduce((s, o) => s + o.count, 0), 2000);
+});
+
+test('X reads 1 on every shot', () => {
+    const result = Shots.run(circuit('X q0\nMEASURE q0'), 500);
+    assert.deepStrictEqual(result.outcomes.map(o => [o.key, o.count, o.ideal]), [['1', 500, 1]]);
+});
+
+test('tomography recovers a known state, noiseless and noisy', () => {
+    const ops = circuit('RY(pi/3) q0', 1);
+    const ideal = Tomography.run(ops, 0, 4000);
+    assert.ok(Math.abs(ideal.truth[0] - Math.sin(Math.PI / 3)) < 1e-12);
+    assert.ok(Math.abs(ideal.truth[2] - 0.5) < 1e-12);
+    assert.strictEqual(ideal.truthSigma, null);
+    assert.ok(ideal.fidelityMle > 0.99, `F = ${ideal.fidelityMle}`);
+
+    NoiseModel.setEnabled(true);
+    NoiseModel.setParam('ALL', 'depolarizing', 0.01);
+    try {
+        const noisy = Tomography.run(ops, 0, 4000);
+        assert.ok(Math.hypot(...noisy.truth) < 0.995, 'the reference should include the noise');
+        assert.ok(noisy.fidelityMle > 0.99, `F = ${noisy.fidelityMle}`);
+    } finally {
+        NoiseModel.setParam('ALL', 'depolarizing', 0);
+        NoiseModel.setEnabled(false);
+    }
+});
@@ -0,0 +1,26 @@
+/**
+ * spectatorFrame.test.js — Spectator Qubits Between Gates
+ *
+ * Run with `node --test tests/`. Loads the browser modules with a three-dot
+ * lattice stub (see loadModules.js) and checks that a detuned spectator, left
+ * idle between two gates, sees exactly those gates: H · wait · H = I.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CORE } = require('./loadModules');
+
+test('a detuned spectator does not precess between gates', () => {
+    const { SpinPhysics, QuantumRegister } = load(CORE);
+    for (let i = 0; i < 3; i++) QuantumRegister.addQubit();
+    SpinPhysics.reset();
+
+    const detuning = SpinPhysics.getQubitLarmorGHz(2) - SpinPhysics.getDriveGHz();
+    assert.ok(Math.abs(detuning) > 1e-3, `q2 should be detuned, got ${detuning * 1e3} MHz`);
+
+    SpinPhysics.applyGate('H', null, 2);
+    for (let frame = 0; frame < 12; frame++) SpinPhysics.evolve(0.0167, false);
+    SpinPhysics.applyGate('H', null, 2);
+
+    assert.ok(QuantumRegister.getBlochVector(2).z > 1 - 1e-9, 'H · wait · H should return q2 to |0⟩');
+});